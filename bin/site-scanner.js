@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+/* ===============================
+   Site Scanner CLI
+================================ */
+// Runs the analyzers from server.js in-process so CI can scan without the
+// HTTP server, and exits non-zero when a configured threshold fails.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Console } = require('console');
+const { parseArgs } = require('util');
+
+const scanner = require('../server');
+const { version } = require('../package.json');
+
+const EXIT_PASSED = 0;
+const EXIT_THRESHOLDS_FAILED = 1;
+const EXIT_ERROR = 2;
+
+const FORMAT_EXTENSIONS = { json: '.json', junit: '.xml', sarif: '.sarif' };
+
+// Categories runLighthouse reports, each scored 0-100
+const LIGHTHOUSE_CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo', 'pwa'];
+const THRESHOLD_KEYS = ['seo', 'lighthouse', 'securityWarnings'];
+
+const USAGE = `Usage: site-scanner scan <url> [options]
+
+Options:
+  --quick                        Skip Lighthouse, link checks and breakpoint screenshots
+  --device <id>                  ${Object.keys(scanner.DEVICE_PROFILES).join(' | ')} (default: desktop)
+  --dkim <selectors>             Comma-separated DKIM selectors to look up
+  --format <format>              json | junit | sarif (default: json)
+  --out <file>                   Write the report to a file instead of stdout
+  --artifacts <dir>              Where screenshots and HAR files go (default: a temp directory)
+  --config <file>                JSON file with a "thresholds" object
+  --min-seo <score>              Fail when the SEO score is below this
+  --min-lighthouse <cat=score>   Fail when a Lighthouse category is below the score (repeatable)
+  --max-security-warnings <n>    Fail when there are more security warnings than this
+  -h, --help                     Show this help
+
+Exit codes: 0 passed, 1 a threshold failed, 2 usage or scan error.`;
+
+const OPTIONS = {
+  quick: { type: 'boolean', default: false },
+  device: { type: 'string', default: 'desktop' },
+  dkim: { type: 'string' },
+  format: { type: 'string', default: 'json' },
+  out: { type: 'string' },
+  artifacts: { type: 'string' },
+  config: { type: 'string' },
+  'min-seo': { type: 'string' },
+  'min-lighthouse': { type: 'string', multiple: true },
+  'max-security-warnings': { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+/**
+ * Checks one threshold value; `max` is 100 for scores. Config files must use
+ * JSON numbers, so only flag values go through flagNumber first.
+ */
+function checkThreshold(value, name, max = Infinity) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > max) {
+    throw usageError(`${name} must be a number${max === Infinity ? ' of 0 or more' : ` from 0 to ${max}`}`);
+  }
+  return value;
+}
+
+function flagNumber(value) {
+  return value.trim() === '' ? NaN : Number(value);
+}
+
+function checkLighthouseCategory(category, name) {
+  if (!LIGHTHOUSE_CATEGORIES.includes(category)) {
+    throw usageError(`${name}: unknown Lighthouse category "${category}". Use one of: ${LIGHTHOUSE_CATEGORIES.join(', ')}`);
+  }
+  return category;
+}
+
+function thresholdsFromConfig(config, file) {
+  const fromFile = config.thresholds ?? {};
+  if (typeof fromFile !== 'object' || Array.isArray(fromFile)) {
+    throw usageError(`"thresholds" in ${file} must be an object`);
+  }
+
+  const unknown = Object.keys(fromFile).find(key => !THRESHOLD_KEYS.includes(key));
+  if (unknown) {
+    throw usageError(`Unknown threshold "${unknown}" in ${file}. Use: ${THRESHOLD_KEYS.join(', ')}`);
+  }
+
+  const lighthouse = fromFile.lighthouse ?? {};
+  if (typeof lighthouse !== 'object' || Array.isArray(lighthouse)) {
+    throw usageError(`thresholds.lighthouse in ${file} must be an object of category: score`);
+  }
+
+  return {
+    seo: fromFile.seo == null ? null : checkThreshold(fromFile.seo, `thresholds.seo in ${file}`, 100),
+    lighthouse: Object.fromEntries(Object.entries(lighthouse).map(([category, score]) => {
+      const name = `thresholds.lighthouse.${category} in ${file}`;
+      return [checkLighthouseCategory(category, name), checkThreshold(score, name, 100)];
+    })),
+    securityWarnings: fromFile.securityWarnings == null
+      ? null
+      : checkThreshold(fromFile.securityWarnings, `thresholds.securityWarnings in ${file}`)
+  };
+}
+
+/**
+ * Merges thresholds from --config with the command-line flags, which win.
+ * Shape: { seo, lighthouse: { <category>: score }, securityWarnings }.
+ */
+function loadThresholds(values) {
+  let thresholds = { seo: null, lighthouse: {}, securityWarnings: null };
+
+  if (values.config) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(values.config, 'utf8'));
+    } catch (error) {
+      throw usageError(`Could not read config ${values.config}: ${error.message}`);
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw usageError(`Config ${values.config} must be a JSON object`);
+    }
+    thresholds = thresholdsFromConfig(config, values.config);
+  }
+
+  if (values['min-seo'] !== undefined) {
+    thresholds.seo = checkThreshold(flagNumber(values['min-seo']), '--min-seo', 100);
+  }
+
+  (values['min-lighthouse'] || []).forEach(entry => {
+    const [category, score] = entry.split('=');
+    if (!category || score === undefined) {
+      throw usageError('--min-lighthouse takes category=score, e.g. performance=70');
+    }
+    const name = `--min-lighthouse ${category.trim()}`;
+    thresholds.lighthouse[checkLighthouseCategory(category.trim(), name)] = checkThreshold(flagNumber(score), name, 100);
+  });
+
+  if (values['max-security-warnings'] !== undefined) {
+    thresholds.securityWarnings = checkThreshold(flagNumber(values['max-security-warnings']), '--max-security-warnings');
+  }
+
+  // A threshold that cannot be checked must not pass a CI run silently
+  if (values.quick && Object.keys(thresholds.lighthouse).length > 0) {
+    throw usageError('Lighthouse thresholds cannot be checked with --quick, which skips Lighthouse');
+  }
+
+  return thresholds;
+}
+
+function minimumCheck(name, actual, minimum) {
+  return {
+    name,
+    actual,
+    expected: `>= ${minimum}`,
+    status: actual >= minimum ? 'passed' : 'failed',
+    message: `${name} is ${actual} (minimum ${minimum})`
+  };
+}
+
+/**
+ * Returns one check per configured threshold. A Lighthouse check fails when
+ * Lighthouse errored or did not report its category.
+ */
+function evaluateThresholds(result, thresholds) {
+  const checks = [];
+
+  if (thresholds.seo !== null) {
+    checks.push(minimumCheck('SEO score', result.seo.score, thresholds.seo));
+  }
+
+  Object.entries(thresholds.lighthouse).forEach(([category, minimum]) => {
+    const entry = result.lighthouse && result.lighthouse.categories
+      ? result.lighthouse.categories[category]
+      : null;
+
+    if (!entry || typeof entry.score !== 'number') {
+      checks.push({
+        name: `Lighthouse ${category}`,
+        actual: null,
+        expected: `>= ${minimum}`,
+        status: 'failed',
+        message: result.lighthouse
+          ? `Lighthouse did not report the "${category}" category`
+          : 'Lighthouse did not run'
+      });
+      return;
+    }
+
+    checks.push(minimumCheck(`Lighthouse ${entry.title || category}`, entry.score, minimum));
+  });
+
+  if (thresholds.securityWarnings !== null) {
+    const count = result.security.filter(finding => finding.type === 'warning').length;
+    checks.push({
+      name: 'Security warnings',
+      actual: count,
+      expected: `<= ${thresholds.securityWarnings}`,
+      status: count <= thresholds.securityWarnings ? 'passed' : 'failed',
+      message: `${count} security warnings (maximum ${thresholds.securityWarnings})`
+    });
+  }
+
+  return checks;
+}
+
+/* ===============================
+   Report Formats
+================================ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function formatJson(result, checks) {
+  return JSON.stringify({
+    tool: { name: 'site-scanner', version },
+    url: result.url,
+    passed: !checks.some(check => check.status === 'failed'),
+    thresholds: checks,
+    result
+  }, null, 2);
+}
+
+function formatJunit(result, checks) {
+  const failures = checks.filter(check => check.status === 'failed').length;
+  const time = (parseInt(result.meta.analysisTime, 10) || 0) / 1000;
+
+  const testcases = [
+    `    <testcase classname="site-scanner.scan" name="${escapeXml(`Scan ${result.url}`)}" time="${time}"/>`,
+    ...checks.map(check => {
+      const name = escapeXml(`${check.name} ${check.expected}`);
+      if (check.status === 'failed') {
+        return `    <testcase classname="site-scanner.thresholds" name="${name}" time="0">\n` +
+          `      <failure type="threshold" message="${escapeXml(check.message)}">${escapeXml(`actual: ${check.actual}`)}</failure>\n` +
+          '    </testcase>';
+      }
+      return `    <testcase classname="site-scanner.thresholds" name="${name}" time="0"/>`;
+    })
+  ];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="site-scanner" tests="${testcases.length}" failures="${failures}" time="${time}">`,
+    `  <testsuite name="${escapeXml(result.url)}" tests="${testcases.length}" failures="${failures}" time="${time}" timestamp="${escapeXml(result.meta.analyzedAt)}">`,
+    ...testcases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+const AXE_SARIF_LEVELS = { critical: 'error', serious: 'error', moderate: 'warning', minor: 'note' };
+
+function formatSarif(result, checks) {
+  const rules = new Map();
+  const results = [];
+
+  const addResult = (ruleId, description, level, message, { helpUri, selectors = [] } = {}) => {
+    // SARIF requires a non-empty message.text; fall back to the rule description
+    const text = typeof message === 'string' && message.trim() ? message : description;
+
+    if (!rules.has(ruleId)) {
+      rules.set(ruleId, {
+        id: ruleId,
+        shortDescription: { text: description },
+        ...(helpUri ? { helpUri } : {})
+      });
+    }
+
+    results.push({
+      ruleId,
+      level,
+      message: { text: text || ruleId },
+      locations: [{
+        physicalLocation: { artifactLocation: { uri: result.url } },
+        ...(selectors.length ? { logicalLocations: selectors.map(selector => ({ fullyQualifiedName: selector, kind: 'element' })) } : {})
+      }]
+    });
+  };
+
+  checks.filter(check => check.status === 'failed').forEach(check => {
+    addResult('threshold', 'Configured threshold failed', 'error', check.message);
+  });
+
+  // calculateSEOScore reports its issues as plain strings
+  result.seo.issues.forEach(issue => {
+    addResult('seo', 'SEO issue', 'warning', issue);
+  });
+
+  result.security.filter(finding => finding.type === 'warning').forEach(finding => {
+    addResult('security', 'Security finding', 'warning', finding.message);
+  });
+
+  const accessibility = result.accessibility;
+  if (accessibility && Array.isArray(accessibility.violations)) {
+    accessibility.violations.forEach(violation => {
+      addResult(`axe/${violation.id}`, violation.help, AXE_SARIF_LEVELS[violation.impact] || 'warning',
+        `${violation.help} (${violation.nodeCount} element${violation.nodeCount === 1 ? '' : 's'})`,
+        { helpUri: violation.helpUrl, selectors: violation.nodes.map(node => node.selector) });
+    });
+  } else if (Array.isArray(accessibility)) {
+    accessibility.forEach(issue => addResult('accessibility', 'Accessibility issue', 'warning', issue));
+  }
+
+  if (result.links) {
+    result.links.items.forEach(item => {
+      addResult(`links/${item.category}`, 'Broken, redirected or unreachable link', item.category === 'broken' ? 'error' : 'warning',
+        `${item.url} (${item.status || item.error || item.category})`);
+    });
+  }
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'site-scanner',
+          version,
+          rules: [...rules.values()]
+        }
+      },
+      results
+    }]
+  }, null, 2);
+}
+
+const FORMATTERS = { json: formatJson, junit: formatJunit, sarif: formatSarif };
+
+/* ===============================
+   Main
+================================ */
+async function scanCommand(url, values) {
+  const format = values.format;
+  if (!FORMATTERS[format]) {
+    throw usageError(`Unknown format "${format}". Use one of: ${Object.keys(FORMATTERS).join(', ')}`);
+  }
+
+  if (values.device === 'both') {
+    throw usageError('--device both is not supported by the CLI; run one scan per device');
+  }
+
+  const thresholds = loadThresholds(values);
+
+  // Budgets are checked on every scan, so a broken budgets file is a usage error
+  try {
+    scanner.getBudgets();
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  const dkimSelectors = values.dkim ? values.dkim.split(',').map(selector => selector.trim()).filter(Boolean) : [];
+
+  const { scanRequest, error } = scanner.parseScanRequest({
+    targetUrl: url,
+    quickMode: values.quick,
+    device: values.device,
+    dkimSelectors
+  });
+
+  if (error) throw usageError(error);
+
+  const artifactsDir = values.artifacts || path.join(os.tmpdir(), 'site-scanner-artifacts');
+  scanner.configureStorage({ artifactsDir });
+
+  let result;
+  try {
+    result = await scanner.executeScan(scanRequest);
+  } catch (scanError) {
+    const { errorType, userMessage } = scanner.classifyError(scanError);
+    console.error(`✗ ${errorType}: ${userMessage}`);
+    return EXIT_ERROR;
+  } finally {
+    await scanner.closeBrowser();
+  }
+
+  const checks = evaluateThresholds(result, thresholds);
+  const report = FORMATTERS[format](result, checks);
+
+  if (values.out) {
+    const file = path.extname(values.out) ? values.out : `${values.out}${FORMAT_EXTENSIONS[format]}`;
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, report);
+    console.error(`✓ Wrote ${format} report to ${file}`);
+  } else {
+    process.stdout.write(report.endsWith('\n') ? report : `${report}\n`);
+  }
+  console.error(`✓ Screenshots and HAR saved under ${artifactsDir}`);
+
+  checks.forEach(check => {
+    const icon = check.status === 'passed' ? '✓' : '✗';
+    console.error(`${icon} ${check.message}`);
+  });
+
+  return checks.some(check => check.status === 'failed') ? EXIT_THRESHOLDS_FAILED : EXIT_PASSED;
+}
+
+async function main(argv) {
+  // Analyzer logs go to stderr so stdout only ever carries the report
+  scanner.setLogger(new Console({ stdout: process.stderr, stderr: process.stderr }));
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, url] = positionals;
+
+  if (values.help) {
+    console.error(USAGE);
+    return EXIT_PASSED;
+  }
+
+  if (command !== 'scan' || !url || positionals.length > 2) {
+    console.error(USAGE);
+    return EXIT_ERROR;
+  }
+
+  try {
+    return await scanCommand(url, values);
+  } catch (error) {
+    if (!error.usage) throw error;
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error.stack || error.message);
+    process.exit(EXIT_ERROR);
+  });
@@ -12,9 +12,22 @@ async function analyze() {
   const output = document.getElementById('output');
   const analyzeBtn = document.getElementById('analyzeBtn');
   const quickModeCheckbox = document.getElementById('quickMode');
+  const crawlModeCheckbox = document.getElementById('crawlMode');
+  const deviceSelect = document.getElementById('deviceSelect');
+  const dkimInput = document.getElementById('dkimSelectors');
   
+  const batchModeCheckbox = document.getElementById('batchMode');
+  if (batchModeCheckbox && batchModeCheckbox.checked) {
+    return analyzeBatch();
+  }
+
   const url = urlInput.value.trim();
   const quickMode = quickModeCheckbox ? quickModeCheckbox.checked : false;
+  const crawlMode = crawlModeCheckbox ? crawlModeCheckbox.checked : false;
+  const device = deviceSelect ? deviceSelect.value : 'desktop';
+  const dkimSelectors = dkimInput
+    ? dkimInput.value.split(/[\s,]+/).filter(Boolean)
+    : [];
   
   if (!url) {
     showError('Please enter a URL', 'Enter a valid website URL to analyze');
@@ -22,25 +35,41 @@ async function analyze() {
   }
 
   analyzeBtn.disabled = true;
-  showLoading();
+  showLoading(crawlMode ? CRAWL_STAGES : SCAN_STAGES);
 
   try {
-    const response = await fetch(`${API_URL}/analyze`, {
+    const response = await fetch(`${API_URL}/jobs`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ 
         targetUrl: url,
-        quickMode: quickMode
+        quickMode: quickMode,
+        crawl: crawlMode,
+        device: device,
+        dkimSelectors: dkimSelectors
       })
     });
 
-    const data = await response.json();
+    const job = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.message || 'Analysis failed');
+      throw new Error(job.message || job.error || 'Analysis failed');
     }
 
-    displayResults(data);
+    const data = await waitForJob(job.id);
+    window.deviceComparisonData = null;
+    window.batchData = null;
+
+    if (data.mode === 'crawl') {
+      displayCrawlResults(data);
+    } else if (data.mode === 'both') {
+      displayDeviceComparison(data);
+    } else {
+      displayResults(data);
+    }
+
+    // The server stored the scan; refresh the panel so it shows up
+    updateHistoryDisplay();
   } catch (error) {
     showError(
       error.message.includes('fetch') ? 'Connection Error' : 'Analysis Error',
@@ -54,29 +83,494 @@ async function analyze() {
   }
 }
 
+/* =======================================
+   SCAN JOBS
+======================================= */
+
+const SCAN_STAGES = [
+  { id: 'loading', label: 'Loading page' },
+  { id: 'screenshot', label: 'Capturing screenshots' },
+  { id: 'analyzers', label: 'Running analyzers' },
+  { id: 'lighthouse', label: 'Lighthouse audit' }
+];
+
+const CRAWL_STAGES = [
+  { id: 'crawling', label: 'Crawling site' }
+];
+
+const JOB_POLL_INTERVAL = 2000;
+
+/**
+ * Follow a scan job over Server-Sent Events and resolve with its result.
+ * Falls back to polling if the event stream drops.
+ */
+function waitForJob(jobId) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_URL}/jobs/${jobId}/events`);
+
+    source.addEventListener('progress', (e) => {
+      updateProgress(JSON.parse(e.data));
+    });
+
+    source.addEventListener('complete', () => {
+      source.close();
+      fetchJob(jobId).then(job => resolve(job.result)).catch(reject);
+    });
+
+    source.addEventListener('failed', (e) => {
+      source.close();
+      const event = JSON.parse(e.data);
+      reject(new Error(event.message || 'Analysis failed'));
+    });
+
+    source.onerror = () => {
+      if (source.readyState === EventSource.CONNECTING) return;
+      source.close();
+      pollJob(jobId).then(resolve).catch(reject);
+    };
+  });
+}
+
+/**
+ * Poll job status until it finishes
+ */
+async function pollJob(jobId) {
+  while (true) {
+    const job = await fetchJob(jobId);
+
+    if (job.stage) updateProgress({ stage: job.stage });
+    if (job.status === 'completed') return job.result;
+    if (job.status === 'failed') {
+      throw new Error(job.error ? job.error.message : 'Analysis failed');
+    }
+
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+  }
+}
+
+/**
+ * Fetch current job state
+ */
+async function fetchJob(jobId) {
+  const response = await fetch(`${API_URL}/jobs/${jobId}`);
+  const job = await response.json();
+
+  if (!response.ok) {
+    throw new Error(job.message || job.error || 'Failed to load scan job');
+  }
+
+  return job;
+}
+
+/* =======================================
+   BATCH SCANS
+======================================= */
+
+let batchSort = { key: 'index', direction: 'asc' };
+
+const BATCH_COLUMNS = [
+  { key: 'url', label: 'URL', value: item => item.url },
+  { key: 'status', label: 'Status', value: item => item.status },
+  { key: 'seo', label: 'SEO', value: item => item.summary?.scores.seo },
+  { key: 'loadTime', label: 'Load', value: item => item.summary?.scores.loadTime },
+  { key: 'accessibility', label: 'A11y', value: item => item.summary?.scores.accessibilityScore },
+  { key: 'security', label: 'Headers', value: item => item.summary?.scores.securityScore },
+  { key: 'performance', label: 'LH Perf', value: item => item.summary?.scores.lighthouse?.performance },
+  { key: 'budgets', label: 'Budgets', value: item => item.summary?.scores.budgetsFailed }
+];
+
+/**
+ * Show the URL list / CSV inputs instead of the single URL field
+ */
+function toggleBatchMode() {
+  const batchMode = document.getElementById('batchMode').checked;
+  const crawlMode = document.getElementById('crawlMode');
+
+  document.getElementById('batchInput').hidden = !batchMode;
+  document.getElementById('urlInput').disabled = batchMode;
+  crawlMode.disabled = batchMode;
+  if (batchMode) crawlMode.checked = false;
+}
+
+/**
+ * Submit the URL list or CSV as a batch and follow its progress
+ */
+async function analyzeBatch() {
+  const analyzeBtn = document.getElementById('analyzeBtn');
+  const urls = document.getElementById('batchUrls').value;
+  const file = document.getElementById('batchFile').files[0];
+  const quickMode = document.getElementById('quickMode').checked;
+  const device = document.getElementById('deviceSelect').value;
+  const dkimSelectors = document.getElementById('dkimSelectors').value.split(/[\s,]+/).filter(Boolean);
+
+  if (!urls.trim() && !file) {
+    showError('Please enter URLs', 'Enter one URL per line or upload a CSV with a url column');
+    return;
+  }
+
+  if (device === 'both') {
+    showError('Unsupported device', 'Batches scan one device at a time. Pick Desktop, Mobile or Tablet.');
+    return;
+  }
+
+  analyzeBtn.disabled = true;
+  showLoading();
+
+  try {
+    let response;
+    if (file) {
+      const params = new URLSearchParams({ quickMode, device, dkimSelectors: dkimSelectors.join(',') });
+      response = await fetch(`${API_URL}/batches?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: await file.text()
+      });
+    } else {
+      response = await fetch(`${API_URL}/batches`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ urls, quickMode, device, dkimSelectors })
+      });
+    }
+
+    const created = await response.json();
+    if (!response.ok) {
+      const rejected = (created.rejected || []).map(entry => `${entry.url}: ${entry.reason}`).join(', ');
+      throw new Error(rejected ? `${created.error} (${rejected})` : created.error || 'Batch failed');
+    }
+
+    window.deviceComparisonData = null;
+    batchSort = { key: 'index', direction: 'asc' };
+    await followBatch(created.id);
+    updateHistoryDisplay();
+  } catch (error) {
+    showError(
+      error.message.includes('fetch') ? 'Connection Error' : 'Batch Error',
+      error.message.includes('fetch')
+        ? 'Cannot connect to the analysis server. Make sure the server is running on port 5000.'
+        : error.message,
+      error.message
+    );
+  } finally {
+    analyzeBtn.disabled = false;
+  }
+}
+
+/**
+ * Render the batch, then keep its rows current from the event stream.
+ * Falls back to polling if the event stream drops.
+ */
+async function followBatch(batchId) {
+  window.batchData = await fetchBatch(batchId);
+  displayBatch(window.batchData);
+
+  await new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_URL}/batches/${batchId}/events`);
+
+    const applyEvent = (e) => {
+      const event = JSON.parse(e.data);
+      const item = window.batchData.items[event.index];
+      if (!item) return;
+
+      if (event.type === 'item-progress') {
+        item.status = 'running';
+        item.stage = event.stage || item.stage;
+        item.message = event.message || item.message;
+      } else if (event.type === 'item-complete') {
+        item.status = 'completed';
+        item.summary = event.summary;
+        item.scanId = event.summary.id;
+      } else if (event.type === 'item-failed') {
+        item.status = 'failed';
+        item.error = event.error;
+      }
+      if (event.counts) window.batchData.counts = event.counts;
+
+      // Only touch the changed row so collapsed sections and scroll stay put
+      updateBatchRow(item);
+      updateBatchCounts(window.batchData);
+    };
+
+    ['item-progress', 'item-complete', 'item-failed'].forEach(type => source.addEventListener(type, applyEvent));
+
+    source.addEventListener('complete', () => {
+      source.close();
+      resolve();
+    });
+
+    source.onerror = () => {
+      if (source.readyState === EventSource.CONNECTING) return;
+      source.close();
+      pollBatch(batchId).then(resolve).catch(reject);
+    };
+  });
+
+  window.batchData = await fetchBatch(batchId);
+  if (isBatchShown()) displayBatch(window.batchData);
+}
+
+/**
+ * Poll batch status until every URL has finished
+ */
+async function pollBatch(batchId) {
+  while (true) {
+    const batch = await fetchBatch(batchId);
+
+    window.batchData = batch;
+    batch.items.forEach(updateBatchRow);
+    updateBatchCounts(batch);
+    if (batch.status === 'completed') return;
+
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+  }
+}
+
+/**
+ * Fetch current batch state
+ */
+async function fetchBatch(batchId) {
+  const response = await fetch(`${API_URL}/batches/${batchId}`);
+  const batch = await response.json();
+
+  if (!response.ok) {
+    throw new Error(batch.error || 'Failed to load batch');
+  }
+
+  return batch;
+}
+
+/**
+ * Display batch progress and, once finished, the sortable summary
+ */
+function displayBatch(batch) {
+  const output = document.getElementById('output');
+  const finished = batch.status === 'completed';
+
+  output.innerHTML = `
+    <div class="results">
+      <div class="results-header">
+        <div class="analyzed-url">Batch of ${batch.counts.total} URLs</div>
+        <div class="meta-info" id="batchCounts">${renderBatchCounts(batch)}</div>
+
+        ${finished ? `
+          <div class="export-actions">
+            <a class="export-btn" href="${API_URL}/batches/${batch.id}/export?format=csv" download>
+              <span>📊 Export CSV</span>
+            </a>
+            <a class="export-btn" href="${API_URL}/batches/${batch.id}/export?format=json" download>
+              <span>💾 Export JSON</span>
+            </a>
+          </div>
+        ` : ''}
+      </div>
+
+      ${batch.rejected && batch.rejected.length > 0 ? `
+        <div class="issue-list">
+          ${batch.rejected.map(entry => `
+            <div class="issue-item warning-item">Skipped ${escapeHtml(entry.url)}: ${escapeHtml(entry.reason)}</div>
+          `).join('')}
+        </div>
+      ` : ''}
+
+      ${createSection(finished ? 'Batch Summary' : 'Batch Progress', renderBatchTable(batch))}
+    </div>
+  `;
+
+  attachSectionToggleHandlers();
+}
+
+/**
+ * Render the batch header counters
+ */
+function renderBatchCounts(batch) {
+  const { counts } = batch;
+
+  return `
+    <span>📅 ${new Date(batch.createdAt).toLocaleString()}</span>
+    <span>✓ ${counts.completed} done</span>
+    <span>✗ ${counts.failed} failed</span>
+    ${batch.status === 'completed' ? '' : `<span>⏳ ${counts.queued + counts.running} remaining</span>`}
+    ${batch.options.quickMode ? '<span>⚡ Quick Mode</span>' : ''}
+  `;
+}
+
+/**
+ * Whether the batch view (rather than a single scan) is on screen
+ */
+function isBatchShown() {
+  return Boolean(document.getElementById('batchCounts'));
+}
+
+/**
+ * Refresh the header counters in place
+ */
+function updateBatchCounts(batch) {
+  if (isBatchShown()) document.getElementById('batchCounts').innerHTML = renderBatchCounts(batch);
+}
+
+/**
+ * Replace one table row in place
+ */
+function updateBatchRow(item) {
+  const row = document.querySelector(`tr[data-batch-index="${item.index}"]`);
+  if (row) row.outerHTML = renderBatchRow(item);
+}
+
+/**
+ * Render one row per URL, ordered by the current sort column
+ */
+function renderBatchTable(batch) {
+  const column = BATCH_COLUMNS.find(c => c.key === batchSort.key);
+  const direction = batchSort.direction === 'asc' ? 1 : -1;
+
+  // Rows without a value always sort last
+  const items = [...batch.items].sort((a, b) => {
+    if (!column) return (a.index - b.index) * direction;
+    const valueA = column.value(a);
+    const valueB = column.value(b);
+    if (valueA === valueB) return a.index - b.index;
+    if (valueA === null || valueA === undefined) return 1;
+    if (valueB === null || valueB === undefined) return -1;
+    return (valueA > valueB ? 1 : -1) * direction;
+  });
+
+  return `
+    <table class="crawl-table batch-table">
+      <thead>
+        <tr>
+          ${BATCH_COLUMNS.map(c => `
+            <th class="sortable" onclick="sortBatch('${c.key}')">
+              ${c.label}${batchSort.key === c.key ? (batchSort.direction === 'asc' ? ' ▲' : ' ▼') : ''}
+            </th>
+          `).join('')}
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${items.map(renderBatchRow).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Render a single batch table row
+ */
+function renderBatchRow(item) {
+  const statusBadge = () => {
+    if (item.status === 'completed') return '<span class="grade-badge grade-pass">✓ Done</span>';
+    if (item.status === 'failed') return '<span class="grade-badge grade-fail">✗ Failed</span>';
+    if (item.status === 'running') return '<span class="grade-badge grade-warn">⏳ Running</span>';
+    return '<span class="tech-meta">Queued</span>';
+  };
+
+  const score = value => value === null || value === undefined ? '—' : value;
+  const scores = item.summary ? item.summary.scores : null;
+
+  return `
+    <tr data-batch-index="${item.index}" class="${item.status === 'failed' ? 'crawl-row-error' : ''}">
+      <td class="crawl-url" title="${escapeHtml(item.url)}">${escapeHtml(shortUrl(item.url))}</td>
+      <td>
+        ${statusBadge()}
+        ${item.status === 'running' && item.message ? `<div class="tech-meta">${escapeHtml(item.message)}</div>` : ''}
+        ${item.error ? `<div class="tech-meta">${escapeHtml(item.error.error)}</div>` : ''}
+      </td>
+      <td>${scores ? score(scores.seo) : '—'}</td>
+      <td>${scores && scores.loadTime !== null ? `${(scores.loadTime / 1000).toFixed(1)}s` : '—'}</td>
+      <td>${scores ? score(scores.accessibilityScore) : '—'}</td>
+      <td>${scores ? score(scores.securityScore) : '—'}</td>
+      <td>${scores && scores.lighthouse ? score(scores.lighthouse.performance) : '—'}</td>
+      <td>${scores && scores.budgetsFailed !== null ? (scores.budgetsFailed === 0 ? '✓' : `✗ ${scores.budgetsFailed}`) : '—'}</td>
+      <td>
+        ${item.scanId ? `<button class="history-item-load" onclick="viewBatchScan('${item.scanId}')">View →</button>` : ''}
+      </td>
+    </tr>
+  `;
+}
+
+/**
+ * Sort the batch table by a column; clicking again flips the direction
+ */
+function sortBatch(key) {
+  if (batchSort.key === key) {
+    batchSort.direction = batchSort.direction === 'asc' ? 'desc' : 'asc';
+  } else {
+    // Scores read best-first; URL and status read alphabetically
+    batchSort = { key, direction: ['url', 'status', 'loadTime', 'budgets'].includes(key) ? 'asc' : 'desc' };
+  }
+
+  if (window.batchData) displayBatch(window.batchData);
+}
+
+/**
+ * Open one batch result, with a way back to the batch
+ */
+async function viewBatchScan(scanId) {
+  try {
+    const data = await fetchScan(scanId);
+    window.deviceComparisonData = null;
+    displayResults(data);
+  } catch (error) {
+    console.error('Failed to load batch scan:', error);
+    showToast('Failed to load scan ❌');
+  }
+}
+
 /**
- * Display loading state
+ * Display loading state with a list of scan stages
  */
-function showLoading() {
+function showLoading(stages = []) {
   const output = document.getElementById('output');
   output.innerHTML = `
     <div class="loading">
       <div class="loading-text">SCANNING...</div>
       <div class="loading-spinner"></div>
+      ${stages.length > 0 ? `
+        <ul class="loading-stages">
+          ${stages.map(stage => `
+            <li class="loading-stage" data-stage="${stage.id}">${stage.label}</li>
+          `).join('')}
+        </ul>
+      ` : ''}
+      <div class="loading-message" id="loadingMessage">Queued...</div>
     </div>
   `;
 }
 
 /**
- * Display error message
+ * Mark the current stage active and every earlier stage done
+ */
+function updateProgress(event) {
+  const stageItems = document.querySelectorAll('.loading-stage');
+  let reached = false;
+
+  Array.from(stageItems).reverse().forEach(item => {
+    item.classList.remove('active', 'done');
+    if (item.dataset.stage === event.stage) {
+      item.classList.add('active');
+      reached = true;
+    } else if (reached) {
+      item.classList.add('done');
+    }
+  });
+
+  const message = document.getElementById('loadingMessage');
+  if (message && event.message) {
+    message.textContent = event.message;
+  }
+}
+
+/**
+ * Display error message. Messages can echo server input (e.g. rejected batch
+ * lines), so everything is escaped.
  */
 function showError(title, message, details) {
   const output = document.getElementById('output');
   output.innerHTML = `
     <div class="error">
-      <div class="error-title">${title}</div>
-      <div class="error-message">${message}</div>
-      ${details ? `<div class="error-details">Technical Details: ${details}</div>` : ''}
+      <div class="error-title">${escapeHtml(title)}</div>
+      <div class="error-message">${escapeHtml(message)}</div>
+      ${details ? `<div class="error-details">Technical Details: ${escapeHtml(details)}</div>` : ''}
     </div>
   `;
 }
@@ -90,9 +584,6 @@ function displayResults(data) {
   // Store data globally for export functions
   window.currentScanData = data;
   
-  // Save to history
-  saveToHistory(data);
-  
   const html = `
     <div class="results">
       <div class="results-header">
@@ -100,7 +591,17 @@ function displayResults(data) {
         <div class="meta-info">
           <span>📅 ${new Date(data.meta.analyzedAt).toLocaleString()}</span>
           <span>⏱️ ${data.meta.analysisTime}</span>
+          ${data.meta.device ? `<span>📱 ${escapeHtml(data.meta.device.name)}</span>` : ''}
         </div>
+        ${window.deviceComparisonData ? `
+          <button class="history-item-load" onclick="displayDeviceComparison(window.deviceComparisonData)">
+            ← Back to device comparison
+          </button>
+        ` : window.batchData ? `
+          <button class="history-item-load" onclick="displayBatch(window.batchData)">
+            ← Back to batch
+          </button>
+        ` : ''}
         
         <!-- Export Buttons -->
         <div class="export-actions">
@@ -113,26 +614,16 @@ function displayResults(data) {
           <button class="export-btn" onclick="copyToClipboard()">
             <span>📋 Copy Data</span>
           </button>
+          ${data.network && data.network.harUrl ? `
+            <a class="export-btn" href="${API_URL}${data.network.harUrl}" download>
+              <span>🌐 Download HAR</span>
+            </a>
+          ` : ''}
         </div>
       </div>
 
       <!-- Screenshot Preview -->
-      ${data.screenshot ? `
-        <div class="screenshot-section">
-          <div class="section-header active" onclick="toggleScreenshot()">
-            Screenshot Preview
-          </div>
-          <div class="section-content active" id="screenshotContent">
-            <div class="section-body">
-              <img src="data:image/jpeg;base64,${data.screenshot}" 
-                   alt="Website Screenshot" 
-                   class="screenshot-preview"
-                   onclick="openScreenshotModal(this.src)">
-              <p class="screenshot-hint">Click image to view full size</p>
-            </div>
-          </div>
-        </div>
-      ` : ''}
+      ${renderScreenshotSection(data)}
 
       <div class="score-grid">
         <div class="score-card seo">
@@ -149,14 +640,24 @@ function displayResults(data) {
 
         <div class="score-card accessibility">
           <div class="score-label">Accessibility</div>
-          <div class="score-value">${data.accessibility.length}</div>
-          <div class="score-subtitle">Issues detected</div>
+          ${Array.isArray(data.accessibility) || data.accessibility.score === null ? `
+            <div class="score-value">${accessibilityIssueCount(data.accessibility)}</div>
+            <div class="score-subtitle">Issues detected</div>
+          ` : `
+            <div class="score-value">${data.accessibility.score}/100</div>
+            <div class="score-subtitle">${data.accessibility.violations.length} rules violated</div>
+          `}
         </div>
 
         <div class="score-card security">
           <div class="score-label">Security</div>
-          <div class="score-value">${data.security.length}</div>
-          <div class="score-subtitle">Findings</div>
+          ${data.securityHeaders ? `
+            <div class="score-value">${data.securityHeaders.score}/100</div>
+            <div class="score-subtitle">${data.security.length} findings</div>
+          ` : `
+            <div class="score-value">${data.security.length}</div>
+            <div class="score-subtitle">Findings</div>
+          `}
         </div>
       </div>
 
@@ -164,18 +665,19 @@ function displayResults(data) {
 
       ${createSection('Technology Stack', renderTechStack(data.techStack))}
       ${createSection('Tracking & Analytics', renderTrackers(data.trackers))}
+      ${data.cookies ? createSection('Cookies', renderCookies(data.cookies)) : ''}
       ${createSection('SEO Analysis', renderSEO(data.seo))}
       ${createSection('Performance Metrics', renderPerformance(data.performance))}
+      ${data.budgets ? createSection('Performance Budgets', renderBudgets(data.budgets)) : ''}
+      ${data.network ? createSection('Network Requests', renderNetwork(data.network)) : ''}
       ${createSection('Layout Structure', renderLayout(data.layout))}
       ${createSection('Accessibility Issues', renderAccessibility(data.accessibility))}
-      ${createSection('Security Findings', renderSecurity(data.security))}
+      ${createSection('Broken Links & Resources', renderLinkCheck(data.links, data.meta.quickMode))}
+      ${createSection('Security Findings', renderSecurity(data.security, data.securityHeaders, data.tls))}
+      ${data.dns ? createSection('DNS & Email Authentication', renderDns(data.dns)) : ''}
     </div>
     
-    <!-- Screenshot Modal -->
-    <div id="screenshotModal" class="modal" onclick="closeScreenshotModal()">
-      <span class="modal-close">&times;</span>
-      <img class="modal-content" id="modalImage">
-    </div>
+    ${renderScreenshotModal()}
   `;
 
   output.innerHTML = html;
@@ -203,9 +705,27 @@ function renderTechStack(tech) {
   if (!tech || tech.length === 0) {
     return '<div class="empty-state">No technologies detected</div>';
   }
-  return `<div class="tech-grid">${tech.map(t => 
-    `<div class="tech-tag">${escapeHtml(t)}</div>`
-  ).join('')}</div>`;
+  return `<div class="tech-grid">${tech.map(t => {
+    // Scans saved before the fingerprint database stored plain names
+    if (typeof t === 'string') {
+      return `<div class="tech-tag">${escapeHtml(t)}</div>`;
+    }
+    const evidence = t.evidence.map(e => `${e.source}: ${e.value}`).join('\n');
+    return `
+      <div class="tech-tag" title="${escapeHtml(evidence)}">
+        ${escapeHtml(t.name)}${t.version ? ` <span class="tech-version">${escapeHtml(t.version)}</span>` : ''}
+        <div class="tech-meta">${escapeHtml(t.category)} · ${t.confidence}% confidence</div>
+      </div>
+    `;
+  }).join('')}</div>`;
+}
+
+/**
+ * Plain-text label for a detected technology
+ */
+function techLabel(t) {
+  if (typeof t === 'string') return t;
+  return t.version ? `${t.name} ${t.version}` : t.name;
 }
 
 /**
@@ -213,11 +733,109 @@ function renderTechStack(tech) {
  */
 function renderTrackers(trackers) {
   if (!trackers || trackers.length === 0) {
-    return '<div class="empty-state">No trackers detected</div>';
+    return '<div class="empty-state">No tracker requests observed</div>';
+  }
+
+  // Scans saved before network-based detection stored plain names
+  if (typeof trackers[0] === 'string') {
+    return `<div class="tech-grid">${trackers.map(t => 
+      `<div class="tech-tag tracker-tag">${escapeHtml(t)}</div>`
+    ).join('')}</div>`;
+  }
+
+  const categoryLabels = {
+    'tag-manager': 'Tag Managers',
+    analytics: 'Analytics',
+    advertising: 'Advertising',
+    'session-replay': 'Session Replay',
+    social: 'Social'
+  };
+  const loaderLabels = {
+    gtm: 'via GTM',
+    'first-party': 'first-party',
+    'third-party': 'third-party script'
+  };
+
+  const byCategory = {};
+  trackers.forEach(t => {
+    byCategory[t.category] = byCategory[t.category] || [];
+    byCategory[t.category].push(t);
+  });
+
+  return Object.entries(byCategory).map(([category, items]) => `
+    <div class="tracker-category">
+      <h4 class="tracker-category-title">${escapeHtml(categoryLabels[category] || category)}</h4>
+      <div class="tech-grid">
+        ${items.map(t => `
+          <div class="tech-tag tracker-tag" title="${escapeHtml(t.requests.map(r => r.url).join('\n'))}">
+            ${escapeHtml(t.name)}
+            <div class="tech-meta">
+              ${t.requestCount} request${t.requestCount === 1 ? '' : 's'} · ${loaderLabels[t.loader] || t.loader}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Render cookie inventory and compliance flags
+ */
+function renderCookies(cookieAudit) {
+  if (!cookieAudit.cookies || cookieAudit.cookies.length === 0) {
+    return '<div class="empty-state">No cookies set during the scan</div>';
   }
-  return `<div class="tech-grid">${trackers.map(t => 
-    `<div class="tech-tag tracker-tag">${escapeHtml(t)}</div>`
-  ).join('')}</div>`;
+
+  const warnings = cookieAudit.issues.filter(issue => issue.type === 'warning');
+
+  return `
+    <div class="data-row">
+      <span class="data-label">Total Cookies</span>
+      <span class="data-value">${cookieAudit.total}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">First-Party</span>
+      <span class="data-value">${cookieAudit.firstParty}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Third-Party</span>
+      <span class="data-value">${cookieAudit.thirdParty} ${cookieAudit.thirdParty === 0 ? '✓' : '⚠️'}</span>
+    </div>
+    ${warnings.length > 0 ? `
+      <ul class="issue-list" style="margin-top: 20px;">
+        ${warnings.map(issue =>
+          `<li class="issue-item warning-item">${escapeHtml(issue.cookie)}: ${escapeHtml(issue.message)}</li>`
+        ).join('')}
+      </ul>
+    ` : ''}
+    <table class="crawl-table cookie-table">
+      <thead>
+        <tr>
+          <th>Name</th>
+          <th>Domain</th>
+          <th>Party</th>
+          <th>Expires</th>
+          <th>Secure</th>
+          <th>HttpOnly</th>
+          <th>SameSite</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${cookieAudit.cookies.map(cookie => `
+          <tr title="${escapeHtml(cookie.flags.join('\n'))}">
+            <td>${escapeHtml(cookie.name)}</td>
+            <td>${escapeHtml(cookie.domain)}</td>
+            <td>${cookie.party === 'first' ? '1st' : '<span class="cookie-third-party">3rd</span>'}</td>
+            <td>${cookie.session ? 'Session' : `${cookie.expiresInDays}d`}</td>
+            <td>${cookie.secure ? '✓' : '✗'}</td>
+            <td>${cookie.httpOnly ? '✓' : '✗'}</td>
+            <td>${cookie.sameSite || 'Default'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
 }
 
 /**
@@ -261,6 +879,9 @@ function renderSEO(seo) {
       <span class="data-label">Open Graph Tags</span>
       <span class="data-value">${seo.openGraph.title && seo.openGraph.description ? '✓ Complete' : '⚠️ Incomplete'}</span>
     </div>
+    ${seo.structuredData ? renderStructuredData(seo.structuredData) : ''}
+    ${seo.crawlability ? renderCrawlability(seo.crawlability) : ''}
+    ${seo.redirects ? renderRedirects(seo.redirects) : ''}
     ${seo.issues.length > 0 ? `
       <div style="margin-top: 20px;">
         <strong>Issues Found:</strong>
@@ -275,148 +896,1024 @@ function renderSEO(seo) {
 }
 
 /**
- * Render performance metrics
+ * Render structured data items with their validation results
  */
-function renderPerformance(perf) {
+function renderStructuredData(structuredData) {
+  const formatLabels = { 'json-ld': 'JSON-LD', microdata: 'Microdata', rdfa: 'RDFa' };
+  const { summary } = structuredData;
+
   return `
+    <h4 class="subsection-title">Structured Data</h4>
     <div class="data-row">
-      <span class="data-label">Total Load Time</span>
-      <span class="data-value">${perf.loadTime}ms ${getPerformanceBadge(perf.loadTime, 3000)}</span>
-    </div>
-    <div class="data-row">
-      <span class="data-label">DOM Content Loaded</span>
-      <span class="data-value">${perf.domContentLoaded}ms ${getPerformanceBadge(perf.domContentLoaded, 1500)}</span>
+      <span class="data-label">Items Found</span>
+      <span class="data-value">
+        ${summary.total}
+        ${summary.total > 0 ? `(${Object.entries(summary.byFormat)
+          .filter(([, count]) => count > 0)
+          .map(([format, count]) => `${count} ${formatLabels[format]}`)
+          .join(', ')})` : '⚠️'}
+      </span>
     </div>
-    <div class="data-row">
-      <span class="data-label">Response Time</span>
-      <span class="data-value">${perf.responseTime}ms ${getPerformanceBadge(perf.responseTime, 500)}</span>
+    ${structuredData.parseErrors.length > 0 ? `
+      <ul class="issue-list">
+        ${structuredData.parseErrors.map(error => `
+          <li class="issue-item">JSON-LD block ${error.block} is not valid JSON: ${escapeHtml(error.message)}</li>
+        `).join('')}
+      </ul>
+    ` : ''}
+    <div class="header-grades">
+      ${structuredData.items.map(item => {
+        const status = item.errors.length > 0 ? 'fail' : item.warnings.length > 0 ? 'warn' : 'pass';
+        return `
+          <div class="header-grade">
+            <div class="header-grade-top">
+              <span class="header-grade-name">${escapeHtml(item.types.join(', ') || 'Untyped item')}</span>
+              <span class="grade-badge grade-${status}">${formatLabels[item.format]}</span>
+            </div>
+            ${item.errors.map(error => `<div class="header-grade-message">✗ ${escapeHtml(error)}</div>`).join('')}
+            ${item.warnings.map(warning => `<div class="header-grade-message">⚠️ ${escapeHtml(warning)}</div>`).join('')}
+            ${!item.validated && item.types.length > 0 ? '<div class="header-grade-message">No validation rules for this type</div>' : ''}
+            ${item.properties.length > 0 ? `<code class="header-grade-value">${escapeHtml(item.properties.join(', '))}</code>` : ''}
+          </div>
+        `;
+      }).join('')}
     </div>
-    <div class="data-row">
-      <span class="data-label">Transfer Size</span>
+  `;
+}
+
+/**
+ * Render robots.txt verdicts per crawler and discovered sitemaps
+ */
+function renderCrawlability(crawlability) {
+  const { robotsTxt, lastmod } = crawlability;
+
+  return `
+    <h4 class="subsection-title">Robots.txt &amp; Sitemaps</h4>
+    <div class="data-row">
+      <span class="data-label">robots.txt</span>
+      <span class="data-value">${robotsTxt.found ? '✓ Found' : `✗ Not found${robotsTxt.status ? ` (HTTP ${robotsTxt.status})` : ''}`}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Robots Meta / X-Robots-Tag</span>
+      <span class="data-value">${crawlability.noindex ? '⚠️ noindex' : '✓ Indexable'}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Listed in Sitemap</span>
+      <span class="data-value">${crawlability.listed ? `✓ ${escapeHtml(shortUrl(crawlability.listedEntry.sitemap))}` : '✗ No'}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Sitemap URLs</span>
+      <span class="data-value">${crawlability.totalUrls.toLocaleString()}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Newest lastmod</span>
+      <span class="data-value">${lastmod.newest
+        ? `${new Date(lastmod.newest).toLocaleDateString()} (${lastmod.daysSinceNewest} days ago)`
+        : 'N/A'}</span>
+    </div>
+
+    <table class="crawl-table">
+      <thead>
+        <tr><th>Crawler</th><th>Access</th><th>Matching Rule</th></tr>
+      </thead>
+      <tbody>
+        ${crawlability.userAgents.map(agent => `
+          <tr>
+            <td>${escapeHtml(agent.name)}</td>
+            <td><span class="grade-badge ${agent.allowed ? 'grade-pass' : 'grade-fail'}">${agent.allowed ? 'Allowed' : 'Blocked'}</span></td>
+            <td>${agent.rule ? `<code>${escapeHtml(agent.rule)}</code> (${escapeHtml(agent.group)})` : '—'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+
+    ${crawlability.sitemaps.length > 0 ? `
+      <table class="crawl-table">
+        <thead>
+          <tr><th>Sitemap</th><th>Source</th><th>Type</th><th>URLs</th><th>Status</th></tr>
+        </thead>
+        <tbody>
+          ${crawlability.sitemaps.map(sitemap => `
+            <tr>
+              <td title="${escapeHtml(sitemap.url)}">${escapeHtml(shortUrl(sitemap.url))}</td>
+              <td>${escapeHtml(sitemap.source)}</td>
+              <td>${sitemap.type || '—'}</td>
+              <td>${sitemap.urlCount}</td>
+              <td>${sitemap.error ? `✗ ${escapeHtml(sitemap.error)}` : '✓'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    ` : ''}
+  `;
+}
+
+/**
+ * Render broken, redirected and timed-out link targets, internal first
+ */
+function renderLinkCheck(links, quickMode) {
+  if (!links) {
+    return `<div class="empty-state">${quickMode ? 'Link checking is skipped in Quick Mode' : 'Links were not checked'}</div>`;
+  }
+
+  const { summary } = links;
+  const categoryLabels = {
+    broken: ['✗ Broken', 'fail'],
+    redirected: ['↪ Redirected', 'warn'],
+    timeout: ['⏱ Timed out', 'fail'],
+    error: ['✗ Error', 'fail']
+  };
+  const categoryOrder = ['broken', 'timeout', 'error', 'redirected'];
+
+  const renderGroup = (title, items) => {
+    if (items.length === 0) return '';
+    const sorted = [...items].sort((a, b) => categoryOrder.indexOf(a.category) - categoryOrder.indexOf(b.category));
+
+    return `
+      <h4 class="subsection-title">${title} (${items.length})</h4>
+      <table class="crawl-table">
+        <thead>
+          <tr><th>Status</th><th>Target</th><th>Found In</th></tr>
+        </thead>
+        <tbody>
+          ${sorted.map(item => {
+            const [label, grade] = categoryLabels[item.category];
+            const status = item.status === null ? escapeHtml(item.error) :
+              item.redirectTo ? `${item.status} → ${item.finalStatus}` : item.status;
+            return `
+              <tr>
+                <td>
+                  <span class="grade-badge grade-${grade}">${label}</span>
+                  <div class="tech-meta">${status}</div>
+                </td>
+                <td>
+                  <a href="${escapeHtml(item.url)}" target="_blank" rel="noopener" title="${escapeHtml(item.url)}">${escapeHtml(shortUrl(item.url))}</a>
+                  <div class="tech-meta">${escapeHtml(item.type)}</div>
+                  ${item.redirectTo ? `<div class="tech-meta">→ ${escapeHtml(item.redirectTo)}</div>` : ''}
+                </td>
+                <td>
+                  ${item.occurrences.map(occurrence => `
+                    <div>
+                      ${occurrence.text ? `“${escapeHtml(occurrence.text)}”` : ''}
+                      <code>${escapeHtml(occurrence.location)}</code>
+                    </div>
+                  `).join('')}
+                  ${item.occurrenceCount > item.occurrences.length
+                    ? `<div class="tech-meta">+${item.occurrenceCount - item.occurrences.length} more</div>` : ''}
+                </td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    `;
+  };
+
+  return `
+    <div class="data-row">
+      <span class="data-label">Targets Checked</span>
+      <span class="data-value">${summary.checked}${links.truncated ? ` of ${summary.found}` : ''}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Broken</span>
+      <span class="data-value">${summary.broken} ${summary.broken === 0 ? '✓' : '⚠️'}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Redirected</span>
+      <span class="data-value">${summary.redirected}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Timed Out / Errors</span>
+      <span class="data-value">${summary.timedOut} / ${summary.errors}</span>
+    </div>
+    ${links.items.length === 0 ? '<div class="empty-state">✓ All links and resources responded</div>' : `
+      ${renderGroup('Internal', links.items.filter(item => item.internal))}
+      ${renderGroup('External', links.items.filter(item => !item.internal))}
+    `}
+  `;
+}
+
+/**
+ * Render the redirect chain of each http/https and www/apex variant
+ */
+function renderRedirects(redirects) {
+  const statusClass = status => status >= 400 ? 'grade-fail' : status >= 300 ? 'grade-warn' : 'grade-pass';
+
+  return `
+    <h4 class="subsection-title">Redirects &amp; Canonicalization</h4>
+    <div class="data-row">
+      <span class="data-label">Variants Agree</span>
+      <span class="data-value">${redirects.consistent ? '✓ Yes' : '✗ No'}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">rel=canonical</span>
+      <span class="data-value">${redirects.canonical.url
+        ? `${escapeHtml(redirects.canonical.url)} ${redirects.canonical.matchesFinalUrl ? '✓' : '⚠️'}`
+        : 'Not set'}</span>
+    </div>
+
+    <table class="crawl-table">
+      <thead>
+        <tr><th>Start</th><th>Chain</th><th>Time</th></tr>
+      </thead>
+      <tbody>
+        ${redirects.variants.map(variant => `
+          <tr>
+            <td>${escapeHtml(variant.start)}</td>
+            <td>
+              ${variant.hops.map(hop => `
+                <div>
+                  <span class="grade-badge ${statusClass(hop.status)}">${hop.status}</span>
+                  ${hop.location ? `→ ${escapeHtml(hop.location)}` : escapeHtml(hop.url)}
+                </div>
+              `).join('')}
+              ${variant.loop ? '<div class="grade-badge grade-fail">Loop</div>' : ''}
+              ${variant.error ? `<div class="tech-meta">✗ ${escapeHtml(variant.error)}</div>` : ''}
+            </td>
+            <td>${variant.totalTimeMs}ms</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Render performance metrics
+ */
+function renderPerformance(perf) {
+  return `
+    <div class="data-row">
+      <span class="data-label">Total Load Time</span>
+      <span class="data-value">${perf.loadTime}ms ${getPerformanceBadge(perf.loadTime, 3000)}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">DOM Content Loaded</span>
+      <span class="data-value">${perf.domContentLoaded}ms ${getPerformanceBadge(perf.domContentLoaded, 1500)}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Response Time</span>
+      <span class="data-value">${perf.responseTime}ms ${getPerformanceBadge(perf.responseTime, 500)}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Transfer Size</span>
       <span class="data-value">${perf.transferSize}KB ${perf.transferSize < 1000 ? '✓' : '⚠️'}</span>
     </div>
   `;
 }
 
 /**
- * Render layout structure
+ * Render performance budget results, failures first
+ */
+function renderBudgets(budgets) {
+  const statusOrder = ['fail', 'skipped', 'pass'];
+  const statusLabels = { pass: ['✓ Pass', 'pass'], fail: ['✗ Over', 'fail'], skipped: ['– Skipped', 'warn'] };
+  const formatValue = (value, unit) => unit === 'requests' || unit === '' ? `${value}` : `${value}${unit === 'KB' ? ' KB' : unit}`;
+  const items = [...budgets.items].sort((a, b) => statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status));
+
+  return `
+    <div class="data-row">
+      <span class="data-label">Budgets Applied</span>
+      <span class="data-value">${budgets.applied.map(budget => escapeHtml(budget.url ? `${budget.name} (${budget.url})` : budget.name)).join(', ')}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Result</span>
+      <span class="data-value">
+        <span class="grade-badge grade-${budgets.passed ? 'pass' : 'fail'}">${budgets.passed ? 'Within budget' : `${budgets.summary.failed} over budget`}</span>
+        ${budgets.summary.skipped ? `<span class="tech-meta">${budgets.summary.skipped} skipped (no Lighthouse data)</span>` : ''}
+      </span>
+    </div>
+    <table class="crawl-table">
+      <thead>
+        <tr><th>Status</th><th>Budget</th><th>Actual</th><th>Limit</th><th>Over By</th></tr>
+      </thead>
+      <tbody>
+        ${items.map(item => {
+          const [label, grade] = statusLabels[item.status];
+          return `
+            <tr>
+              <td><span class="grade-badge grade-${grade}">${label}</span></td>
+              <td>
+                ${escapeHtml(item.label)}
+                <div class="tech-meta">${escapeHtml(item.source)}</div>
+              </td>
+              <td>${item.actual === null ? '—' : formatValue(item.actual, item.unit)}</td>
+              <td>${formatValue(item.budget, item.unit)}</td>
+              <td>${item.status === 'fail' ? `+${formatValue(item.overage, item.unit)}${item.overagePercent !== null ? ` (${item.overagePercent}%)` : ''}` : '—'}</td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Render network inventory: totals, breakdowns and a request waterfall
+ */
+function renderNetwork(network) {
+  const summary = network.summary;
+  const total = summary.duration || 1;
+  const waterfallLimit = 150;
+
+  return `
+    <div class="data-row">
+      <span class="data-label">Requests</span>
+      <span class="data-value">${summary.requestCount} (${summary.thirdPartyCount} third-party, ${summary.failedCount} failed)</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Transferred / Uncompressed</span>
+      <span class="data-value">${formatBytes(summary.transferSize)} / ${formatBytes(summary.resourceSize)}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Network Duration</span>
+      <span class="data-value">${summary.duration}ms</span>
+    </div>
+
+    <div class="network-breakdowns">
+      <table class="crawl-table">
+        <thead><tr><th>Type</th><th>Requests</th><th>Transferred</th><th>Uncompressed</th></tr></thead>
+        <tbody>
+          ${Object.entries(summary.byType)
+            .sort((a, b) => b[1].transferSize - a[1].transferSize)
+            .map(([type, stats]) => `
+              <tr>
+                <td>${escapeHtml(type)}</td>
+                <td>${stats.count}</td>
+                <td>${formatBytes(stats.transferSize)}</td>
+                <td>${formatBytes(stats.resourceSize)}</td>
+              </tr>
+            `).join('')}
+        </tbody>
+      </table>
+
+      <table class="crawl-table">
+        <thead><tr><th>Domain</th><th>Requests</th><th>Transferred</th></tr></thead>
+        <tbody>
+          ${summary.byDomain.slice(0, 15).map(domain => `
+            <tr>
+              <td class="crawl-url">${escapeHtml(domain.domain)}${domain.party === 'third' ? ' <span class="cookie-third-party">3rd</span>' : ''}</td>
+              <td>${domain.count}</td>
+              <td>${formatBytes(domain.transferSize)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <div class="waterfall">
+      ${network.requests.slice(0, waterfallLimit).map(request => {
+        const left = (request.startTime / total) * 100;
+        const width = Math.max(((request.duration || 0) / total) * 100, 0.5);
+        const statusClass = request.failed || request.status >= 400 ? 'waterfall-error' : '';
+        return `
+          <div class="waterfall-row ${statusClass}" title="${escapeHtml(request.url)}\n${request.initiator && request.initiator.url ? 'Initiator: ' + escapeHtml(request.initiator.url) : ''}">
+            <span class="waterfall-url">${escapeHtml(shortUrl(request.url))}</span>
+            <span class="waterfall-meta">${escapeHtml(request.resourceType)} · ${request.failed ? 'failed' : request.status || '—'} · ${escapeHtml(request.protocol || '')} · ${formatBytes(request.transferSize)}</span>
+            <span class="waterfall-track">
+              <span class="waterfall-bar waterfall-${escapeHtml(request.resourceType)}" style="left: ${left}%; width: ${Math.min(width, 100 - left)}%"></span>
+            </span>
+          </div>
+        `;
+      }).join('')}
+      ${network.requests.length > waterfallLimit ? `
+        <div class="empty-state">${network.requests.length - waterfallLimit} more requests in the HAR export</div>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Shorten a URL to its host and last path segment
+ */
+function shortUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const file = parsed.pathname.split('/').filter(Boolean).pop() || '/';
+    return `${parsed.hostname} › ${file}`;
+  } catch {
+    return url.slice(0, 60);
+  }
+}
+
+/**
+ * Render layout structure
+ */
+function renderLayout(layout) {
+  return `
+    <div class="data-row">
+      <span class="data-label">Header Element</span>
+      <span class="data-value">${layout.hasHeader ? '✓ Yes' : '✗ No'}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Navigation Element</span>
+      <span class="data-value">${layout.hasNav ? '✓ Yes' : '✗ No'}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Footer Element</span>
+      <span class="data-value">${layout.hasFooter ? '✓ Yes' : '✗ No'}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Hero Section</span>
+      <span class="data-value">${layout.hasHero ? 'Yes' : 'No'}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Main Element</span>
+      <span class="data-value">${layout.hasMain ? '✓ Yes' : '✗ No'}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Sections</span>
+      <span class="data-value">${layout.sectionCount}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Articles</span>
+      <span class="data-value">${layout.articleCount}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Forms</span>
+      <span class="data-value">${layout.formCount}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Buttons</span>
+      <span class="data-value">${layout.buttonCount}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Images</span>
+      <span class="data-value">${layout.imageCount}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Links</span>
+      <span class="data-value">${layout.linkCount}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Body Text Length</span>
+      <span class="data-value">${layout.bodyTextLength.toLocaleString()} chars</span>
+    </div>
+  `;
+}
+
+/**
+ * Render accessibility issues
+ */
+function renderAccessibility(issues) {
+  if (issues && !Array.isArray(issues)) {
+    return renderAxeResults(issues);
+  }
+  if (!issues || issues.length === 0) {
+    return '<div class="empty-state">✓ No accessibility issues detected</div>';
+  }
+  return `
+    <ul class="issue-list">
+      ${issues.map(issue => 
+        `<li class="issue-item">${escapeHtml(issue)}</li>`
+      ).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Issue count for both axe results and the older list of strings
+ */
+function accessibilityIssueCount(accessibility) {
+  if (!accessibility) return 0;
+  return Array.isArray(accessibility) ? accessibility.length : accessibility.violations.length;
+}
+
+/**
+ * Render axe-core violations grouped by impact
+ */
+function renderAxeResults(audit) {
+  if (audit.error) {
+    return `<div class="empty-state">✗ Accessibility audit failed: ${escapeHtml(audit.error)}</div>`;
+  }
+
+  const impacts = ['critical', 'serious', 'moderate', 'minor'];
+  const impactGrades = { critical: 'fail', serious: 'fail', moderate: 'warn', minor: 'warn' };
+
+  return `
+    <div class="data-row">
+      <span class="data-label">Accessibility Score</span>
+      <span class="data-value">${audit.score}/100</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Rules Passed / Needs Review</span>
+      <span class="data-value">${audit.passes} / ${audit.incomplete}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Engine</span>
+      <span class="data-value">axe-core ${escapeHtml(audit.version)}</span>
+    </div>
+    ${audit.violations.length === 0 ? '<div class="empty-state">✓ No accessibility violations detected</div>' : ''}
+    ${impacts.filter(impact => audit.summary[impact] > 0).map(impact => `
+      <h4 class="subsection-title">${impact} (${audit.summary[impact]})</h4>
+      <div class="header-grades">
+        ${audit.violations.filter(violation => violation.impact === impact).map(violation => `
+          <div class="header-grade">
+            <div class="header-grade-top">
+              <span class="header-grade-name">${escapeHtml(violation.help)}</span>
+              <span class="grade-badge grade-${impactGrades[impact]}">
+                ${violation.wcag.length > 0
+                  ? `WCAG ${violation.wcag.map(escapeHtml).join(', ')}${violation.level ? ` (${violation.level})` : ''}`
+                  : 'Best practice'}
+              </span>
+            </div>
+            <div class="header-grade-message">
+              <a href="${escapeHtml(violation.helpUrl)}" target="_blank" rel="noopener">${escapeHtml(violation.id)}</a>
+              · ${violation.nodeCount} element${violation.nodeCount === 1 ? '' : 's'}
+            </div>
+            ${violation.nodes.map(node => `
+              <code class="header-grade-value" title="${escapeHtml(node.failureSummary || '')}">${escapeHtml(node.selector)}</code>
+              <code class="header-grade-value">${escapeHtml(node.html)}</code>
+            `).join('')}
+            ${violation.nodeCount > violation.nodes.length
+              ? `<div class="tech-meta">+${violation.nodeCount - violation.nodes.length} more elements</div>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `).join('')}
+  `;
+}
+
+/**
+ * Render security findings and response header grades
+ */
+function renderSecurity(findings, securityHeaders, tlsReport) {
+  const headerHtml = (securityHeaders ? renderSecurityHeaders(securityHeaders) : '') +
+    (tlsReport ? renderTls(tlsReport) : '');
+
+  if (!findings || findings.length === 0) {
+    return headerHtml + '<div class="empty-state">✓ No security issues detected</div>';
+  }
+  return `
+    ${headerHtml}
+    <ul class="issue-list">
+      ${findings.map(finding => {
+        const className = finding.type === 'warning' ? 'warning-item' : 'info-item';
+        return `<li class="issue-item ${className}">${escapeHtml(finding.message)}</li>`;
+      }).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Render TLS certificate, protocol and cipher details
+ */
+function renderTls(tlsReport) {
+  if (tlsReport.error) {
+    return `
+      <h4 class="subsection-title">TLS</h4>
+      <div class="empty-state">✗ ${escapeHtml(tlsReport.error)}</div>
+    `;
+  }
+
+  const { certificate } = tlsReport;
+  const legacyAccepted = Object.entries(tlsReport.legacyProtocols)
+    .filter(([, accepted]) => accepted)
+    .map(([version]) => version);
+  const legacyUnknown = Object.values(tlsReport.legacyProtocols).some(accepted => accepted === null);
+  const keyLabel = `${certificate.keyType.toUpperCase()} ${certificate.curve || `${certificate.keySize} bits`}`;
+
+  return `
+    <h4 class="subsection-title">TLS</h4>
+    <div class="data-row">
+      <span class="data-label">Protocol</span>
+      <span class="data-value">${escapeHtml(tlsReport.protocol)}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Cipher</span>
+      <span class="data-value">${escapeHtml(tlsReport.cipher.standardName || tlsReport.cipher.name)}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Legacy TLS 1.0/1.1</span>
+      <span class="data-value">${legacyAccepted.length > 0
+        ? `⚠️ Accepts ${legacyAccepted.join(', ')}`
+        : legacyUnknown ? 'Not tested' : '✓ Rejected'}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Certificate</span>
+      <span class="data-value">${escapeHtml(certificate.subject || 'Unknown')} ${certificate.coversHostname ? '✓' : '⚠️ hostname not covered'}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Trusted</span>
+      <span class="data-value">${tlsReport.authorized ? '✓ Yes' : `✗ ${escapeHtml(tlsReport.authorizationError || 'No')}`}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Expires</span>
+      <span class="data-value">
+        ${new Date(certificate.validTo).toLocaleDateString()}
+        (${certificate.daysUntilExpiry} days) ${certificate.daysUntilExpiry > 30 ? '✓' : '⚠️'}
+      </span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Key</span>
+      <span class="data-value">${escapeHtml(keyLabel)}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Subject Alt Names</span>
+      <span class="data-value">${escapeHtml(certificate.subjectAltNames.slice(0, 10).join(', ') || 'None')}${certificate.subjectAltNames.length > 10 ? ` +${certificate.subjectAltNames.length - 10} more` : ''}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">Issuer Chain</span>
+      <span class="data-value">${tlsReport.chain.map(cert => escapeHtml(cert.subject || '?')).join(' ← ')}</span>
+    </div>
+  `;
+}
+
+/**
+ * Render DNS records and SPF/DMARC/DKIM checks
+ */
+function renderDns(dnsReport) {
+  const { records, spf, dmarc } = dnsReport;
+  const list = values => values.length > 0 ? values.map(escapeHtml).join(', ') : 'None';
+
+  return `
+    <div class="data-row">
+      <span class="data-label">A</span>
+      <span class="data-value">${list(records.a)}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">AAAA</span>
+      <span class="data-value">${list(records.aaaa)}</span>
+    </div>
+    ${records.cname.length > 0 ? `
+      <div class="data-row">
+        <span class="data-label">CNAME Chain</span>
+        <span class="data-value">${[dnsReport.hostname, ...records.cname].map(escapeHtml).join(' → ')}</span>
+      </div>
+    ` : ''}
+    <div class="data-row">
+      <span class="data-label">MX</span>
+      <span class="data-value">${list(records.mx.map(mx => `${mx.priority} ${mx.exchange}`))}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">NS</span>
+      <span class="data-value">${list(records.ns)}</span>
+    </div>
+    <div class="data-row">
+      <span class="data-label">CAA</span>
+      <span class="data-value">${records.caa.records.length > 0
+        ? `${list(records.caa.records.map(caa => `${caa.tag} ${caa.value}`))} (${escapeHtml(records.caa.domain)})`
+        : 'None'}</span>
+    </div>
+
+    <h4 class="subsection-title">Email Authentication (${escapeHtml(dnsReport.domain)})</h4>
+    <div class="header-grades">
+      <div class="header-grade">
+        <div class="header-grade-top">
+          <span class="header-grade-name">SPF</span>
+          <span class="grade-badge ${spf.record ? (spf.issues.some(i => i.type === 'warning') ? 'grade-warn' : 'grade-pass') : 'grade-fail'}">
+            ${spf.record ? `${spf.lookups} lookups` : 'Missing'}
+          </span>
+        </div>
+        ${spf.record ? `<code class="header-grade-value">${escapeHtml(spf.record)}</code>` : ''}
+      </div>
+      <div class="header-grade">
+        <div class="header-grade-top">
+          <span class="header-grade-name">DMARC</span>
+          <span class="grade-badge ${!dmarc.record ? 'grade-fail' : dmarc.policy === 'none' ? 'grade-warn' : 'grade-pass'}">
+            ${dmarc.record ? `p=${escapeHtml(dmarc.policy || '?')}` : 'Missing'}
+          </span>
+        </div>
+        ${dmarc.record ? `<code class="header-grade-value">${escapeHtml(dmarc.record)}</code>` : ''}
+      </div>
+      ${dnsReport.dkim.map(dkim => `
+        <div class="header-grade">
+          <div class="header-grade-top">
+            <span class="header-grade-name">DKIM: ${escapeHtml(dkim.selector)}</span>
+            <span class="grade-badge ${!dkim.found ? 'grade-fail' : dkim.revoked ? 'grade-warn' : 'grade-pass'}">
+              ${!dkim.found ? 'Missing' : dkim.revoked ? 'Revoked' : escapeHtml(dkim.keyType)}
+            </span>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+
+    ${dnsReport.findings.length > 0 ? `
+      <ul class="issue-list">
+        ${dnsReport.findings.map(finding => `
+          <li class="issue-item ${finding.type === 'warning' ? 'warning-item' : 'info-item'}">${escapeHtml(finding.message)}</li>
+        `).join('')}
+      </ul>
+    ` : ''}
+  `;
+}
+
+/**
+ * Render pass/warn/fail grades for HTTP security headers
+ */
+function renderSecurityHeaders(securityHeaders) {
+  const labels = { pass: '✓ Pass', warn: '⚠️ Warn', fail: '✗ Fail' };
+
+  return `
+    <div class="data-row">
+      <span class="data-label">Security Header Score</span>
+      <span class="data-value">${securityHeaders.score}/100</span>
+    </div>
+    <div class="header-grades">
+      ${securityHeaders.headers.map(header => `
+        <div class="header-grade">
+          <div class="header-grade-top">
+            <span class="header-grade-name">${escapeHtml(header.name)}</span>
+            <span class="grade-badge grade-${header.status}">${labels[header.status]}</span>
+          </div>
+          <div class="header-grade-message">${escapeHtml(header.message)}</div>
+          ${header.value ? `<code class="header-grade-value">${escapeHtml(header.value)}</code>` : ''}
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Get performance badge based on threshold
+ */
+function getPerformanceBadge(value, threshold) {
+  return value < threshold ? '✓' : value < threshold * 2 ? '⚠️' : '✗';
+}
+
+/**
+ * Escape HTML to prevent XSS. Quotes are escaped too, because scanned page
+ * content is also rendered inside attribute values.
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Attach event handlers to section headers for collapsing/expanding
+ */
+function attachSectionToggleHandlers() {
+  document.querySelectorAll('.section-header').forEach(header => {
+    header.addEventListener('click', () => {
+      header.classList.toggle('active');
+      const content = header.nextElementSibling;
+      content.classList.toggle('active');
+    });
+  });
+}
+
+/* =======================================
+   DEVICE COMPARISON
+======================================= */
+
+/**
+ * Display desktop and mobile results side by side
+ */
+function displayDeviceComparison(data) {
+  const output = document.getElementById('output');
+  const devices = Object.keys(data.results);
+
+  window.currentScanData = data;
+  window.deviceComparisonData = data;
+
+  const lighthouseScore = (result, category) => {
+    const score = result.lighthouse && result.lighthouse.categories[category];
+    return score ? score.score : '—';
+  };
+
+  output.innerHTML = `
+    <div class="results">
+      <div class="results-header">
+        <div class="analyzed-url">${escapeHtml(data.url)}</div>
+        <div class="meta-info">
+          <span>📅 ${new Date(data.meta.analyzedAt).toLocaleString()}</span>
+          <span>⏱️ ${data.meta.analysisTime}</span>
+          <span>📱 ${data.meta.devices.map(d => escapeHtml(d.name)).join(' vs ')}</span>
+        </div>
+
+        <div class="export-actions">
+          <button class="export-btn" onclick="exportToJSON()">
+            <span>💾 Export JSON</span>
+          </button>
+          <button class="export-btn" onclick="copyToClipboard()">
+            <span>📋 Copy Data</span>
+          </button>
+        </div>
+      </div>
+
+      <div class="score-grid">
+        ${devices.map(device => {
+          const result = data.results[device];
+          return `
+            <div class="score-card performance">
+              <div class="score-label">${escapeHtml(result.meta.device.name)}</div>
+              <div class="score-value">${lighthouseScore(result, 'performance')}</div>
+              <div class="score-subtitle">Lighthouse performance</div>
+              <div class="data-row">
+                <span class="data-label">SEO Score</span>
+                <span class="data-value">${result.seo.score}/100</span>
+              </div>
+              <div class="data-row">
+                <span class="data-label">Load Time</span>
+                <span class="data-value">${(result.performance.loadTime / 1000).toFixed(2)}s</span>
+              </div>
+              <div class="data-row">
+                <span class="data-label">Lighthouse Accessibility</span>
+                <span class="data-value">${lighthouseScore(result, 'accessibility')}</span>
+              </div>
+              <div class="data-row">
+                <span class="data-label">Viewport</span>
+                <span class="data-value">${result.meta.device.viewport.width}×${result.meta.device.viewport.height}</span>
+              </div>
+              ${registerScreenshots(device, result).length ? `
+                <img src="${screenshotSets[device][0].src}"
+                     alt="${escapeHtml(result.meta.device.name)} screenshot"
+                     class="screenshot-preview"
+                     onclick="openScreenshotModal('${device}', 0)">
+              ` : ''}
+              <button class="history-item-load" onclick="displayResults(window.deviceComparisonData.results['${device}'])">
+                View ${escapeHtml(result.meta.device.name)} details →
+              </button>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    </div>
+
+    ${renderScreenshotModal()}
+  `;
+}
+
+/* =======================================
+   CRAWL RESULTS
+======================================= */
+
+/**
+ * Display multi-page crawl results
+ */
+function displayCrawlResults(data) {
+  const output = document.getElementById('output');
+  const rollup = data.rollup;
+
+  // Store data globally for export functions
+  window.currentScanData = data;
+
+  output.innerHTML = `
+    <div class="results">
+      <div class="results-header">
+        <div class="analyzed-url">${escapeHtml(data.url)}</div>
+        <div class="meta-info">
+          <span>📅 ${new Date(data.meta.analyzedAt).toLocaleString()}</span>
+          <span>⏱️ ${data.meta.analysisTime}</span>
+          <span>🕸️ ${rollup.pagesCrawled} pages crawled</span>
+        </div>
+
+        <div class="export-actions">
+          <button class="export-btn" onclick="exportToJSON()">
+            <span>💾 Export JSON</span>
+          </button>
+          <button class="export-btn" onclick="copyToClipboard()">
+            <span>📋 Copy Data</span>
+          </button>
+        </div>
+      </div>
+
+      <div class="score-grid">
+        <div class="score-card seo">
+          <div class="score-label">Avg SEO Score</div>
+          <div class="score-value">${rollup.averageSeoScore !== null ? `${rollup.averageSeoScore}/100` : 'N/A'}</div>
+          <div class="score-subtitle">Across ${rollup.pagesCrawled} pages</div>
+        </div>
+
+        <div class="score-card performance">
+          <div class="score-label">Pages</div>
+          <div class="score-value">${rollup.pagesCrawled}</div>
+          <div class="score-subtitle">${rollup.pagesFailed} failed to load</div>
+        </div>
+
+        <div class="score-card accessibility">
+          <div class="score-label">Accessibility</div>
+          <div class="score-value">${rollup.totalAccessibilityIssues}</div>
+          <div class="score-subtitle">Issues across site</div>
+        </div>
+
+        <div class="score-card security">
+          <div class="score-label">Security</div>
+          <div class="score-value">${rollup.securityWarnings}</div>
+          <div class="score-subtitle">Warnings across site</div>
+        </div>
+      </div>
+
+      ${createSection('Site Rollup', renderCrawlRollup(data))}
+      ${createSection('Crawled Pages', renderCrawlPages(data.pages))}
+    </div>
+  `;
+
+  attachSectionToggleHandlers();
+}
+
+/**
+ * Render site-level crawl rollup
  */
-function renderLayout(layout) {
+function renderCrawlRollup(data) {
+  const rollup = data.rollup;
+  const crawl = data.crawl;
+
   return `
     <div class="data-row">
-      <span class="data-label">Header Element</span>
-      <span class="data-value">${layout.hasHeader ? '✓ Yes' : '✗ No'}</span>
-    </div>
-    <div class="data-row">
-      <span class="data-label">Navigation Element</span>
-      <span class="data-value">${layout.hasNav ? '✓ Yes' : '✗ No'}</span>
-    </div>
-    <div class="data-row">
-      <span class="data-label">Footer Element</span>
-      <span class="data-value">${layout.hasFooter ? '✓ Yes' : '✗ No'}</span>
-    </div>
-    <div class="data-row">
-      <span class="data-label">Hero Section</span>
-      <span class="data-value">${layout.hasHero ? 'Yes' : 'No'}</span>
+      <span class="data-label">Crawl Limits</span>
+      <span class="data-value">Depth ${crawl.maxDepth}, ${crawl.maxPages} pages</span>
     </div>
     <div class="data-row">
-      <span class="data-label">Main Element</span>
-      <span class="data-value">${layout.hasMain ? '✓ Yes' : '✗ No'}</span>
+      <span class="data-label">robots.txt</span>
+      <span class="data-value">${crawl.robotsTxtFound ? '✓ Found' : '✗ Not found'}</span>
     </div>
     <div class="data-row">
-      <span class="data-label">Sections</span>
-      <span class="data-value">${layout.sectionCount}</span>
+      <span class="data-label">Disallowed by robots.txt</span>
+      <span class="data-value">${crawl.disallowedByRobots.length}</span>
     </div>
     <div class="data-row">
-      <span class="data-label">Articles</span>
-      <span class="data-value">${layout.articleCount}</span>
+      <span class="data-label">Skipped (redirected off-site)</span>
+      <span class="data-value">${(crawl.redirectedOffOrigin || []).length}</span>
     </div>
     <div class="data-row">
-      <span class="data-label">Forms</span>
-      <span class="data-value">${layout.formCount}</span>
+      <span class="data-label">Links Not Visited (limit reached)</span>
+      <span class="data-value">${crawl.unvisited}</span>
     </div>
     <div class="data-row">
-      <span class="data-label">Buttons</span>
-      <span class="data-value">${layout.buttonCount}</span>
+      <span class="data-label">Lowest SEO Score</span>
+      <span class="data-value">${rollup.lowestSeoScore ? `${rollup.lowestSeoScore.score} — ${escapeHtml(rollup.lowestSeoScore.url)}` : 'N/A'}</span>
     </div>
     <div class="data-row">
-      <span class="data-label">Images</span>
-      <span class="data-value">${layout.imageCount}</span>
+      <span class="data-label">Missing Titles</span>
+      <span class="data-value">${rollup.missingTitles} ${rollup.missingTitles === 0 ? '✓' : '⚠️'}</span>
     </div>
     <div class="data-row">
-      <span class="data-label">Links</span>
-      <span class="data-value">${layout.linkCount}</span>
+      <span class="data-label">Missing Meta Descriptions</span>
+      <span class="data-value">${rollup.missingMetaDescriptions} ${rollup.missingMetaDescriptions === 0 ? '✓' : '⚠️'}</span>
     </div>
     <div class="data-row">
-      <span class="data-label">Body Text Length</span>
-      <span class="data-value">${layout.bodyTextLength.toLocaleString()} chars</span>
+      <span class="data-label">Duplicate Titles</span>
+      <span class="data-value">${rollup.duplicateTitles.length} ${rollup.duplicateTitles.length === 0 ? '✓' : '⚠️'}</span>
     </div>
+    ${rollup.commonSeoIssues.length > 0 ? `
+      <div style="margin-top: 20px;">
+        <strong>Most Common SEO Issues:</strong>
+        <ul class="issue-list">
+          ${rollup.commonSeoIssues.map(item =>
+            `<li class="issue-item">${escapeHtml(item.issue)} (${item.count} pages)</li>`
+          ).join('')}
+        </ul>
+      </div>
+    ` : ''}
   `;
 }
 
 /**
- * Render accessibility issues
+ * Render per-page crawl table
  */
-function renderAccessibility(issues) {
-  if (!issues || issues.length === 0) {
-    return '<div class="empty-state">✓ No accessibility issues detected</div>';
+function renderCrawlPages(pages) {
+  if (!pages || pages.length === 0) {
+    return '<div class="empty-state">No pages crawled</div>';
   }
-  return `
-    <ul class="issue-list">
-      ${issues.map(issue => 
-        `<li class="issue-item">${escapeHtml(issue)}</li>`
-      ).join('')}
-    </ul>
-  `;
-}
 
-/**
- * Render security findings
- */
-function renderSecurity(findings) {
-  if (!findings || findings.length === 0) {
-    return '<div class="empty-state">✓ No security issues detected</div>';
-  }
   return `
-    <ul class="issue-list">
-      ${findings.map(finding => {
-        const className = finding.type === 'warning' ? 'warning-item' : 'info-item';
-        return `<li class="issue-item ${className}">${escapeHtml(finding.message)}</li>`;
-      }).join('')}
-    </ul>
+    <table class="crawl-table">
+      <thead>
+        <tr>
+          <th>Page</th>
+          <th>Depth</th>
+          <th>Status</th>
+          <th>SEO</th>
+          <th>A11y</th>
+          <th>Security</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${pages.map(page => page.error ? `
+          <tr class="crawl-row-error">
+            <td class="crawl-url">${escapeHtml(page.url)}</td>
+            <td>${page.depth}</td>
+            <td colspan="4">✗ ${escapeHtml(page.error)}</td>
+          </tr>
+        ` : `
+          <tr>
+            <td class="crawl-url" title="${escapeHtml(page.seo.title)}">${escapeHtml(page.url)}</td>
+            <td>${page.depth}</td>
+            <td>${page.status || '—'}</td>
+            <td>${page.seo.score}</td>
+            <td>${page.accessibility.length}</td>
+            <td>${page.security.filter(f => f.type === 'warning').length}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
   `;
 }
 
-/**
- * Get performance badge based on threshold
- */
-function getPerformanceBadge(value, threshold) {
-  return value < threshold ? '✓' : value < threshold * 2 ? '⚠️' : '✗';
-}
-
-/**
- * Escape HTML to prevent XSS
- */
-function escapeHtml(text) {
-  if (!text) return '';
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
-
-/**
- * Attach event handlers to section headers for collapsing/expanding
- */
-function attachSectionToggleHandlers() {
-  document.querySelectorAll('.section-header').forEach(header => {
-    header.addEventListener('click', () => {
-      header.classList.toggle('active');
-      const content = header.nextElementSibling;
-      content.classList.toggle('active');
-    });
-  });
-}
-
 /* =======================================
    LIGHTHOUSE RENDERING
 ======================================= */
@@ -635,7 +2132,7 @@ document.addEventListener('DOMContentLoaded', () => {
 /**
  * Export results to PDF
  */
-function exportToPDF() {
+async function exportToPDF() {
   const data = window.currentScanData;
   if (!data) return;
 
@@ -675,7 +2172,7 @@ function exportToPDF() {
   const scores = [
     { label: 'SEO Score:', value: `${data.seo.score}/100`, color: [16, 185, 129] },
     { label: 'Load Time:', value: `${(data.performance.loadTime / 1000).toFixed(2)}s`, color: [6, 182, 212] },
-    { label: 'Accessibility Issues:', value: data.accessibility.length.toString(), color: [168, 85, 247] },
+    { label: 'Accessibility Issues:', value: accessibilityIssueCount(data.accessibility).toString(), color: [168, 85, 247] },
     { label: 'Security Findings:', value: data.security.length.toString(), color: [236, 72, 153] }
   ];
 
@@ -699,7 +2196,7 @@ function exportToPDF() {
     
     doc.setFontSize(10);
     doc.setTextColor(80, 80, 80);
-    doc.text(data.techStack.join(', '), margin, yPos, { maxWidth });
+    doc.text(data.techStack.map(techLabel).join(', '), margin, yPos, { maxWidth });
     yPos += 10;
   }
 
@@ -723,7 +2220,11 @@ function exportToPDF() {
   }
 
   // Accessibility Issues
-  if (data.accessibility && data.accessibility.length > 0) {
+  const accessibilityIssues = Array.isArray(data.accessibility)
+    ? data.accessibility
+    : (data.accessibility ? data.accessibility.violations : [])
+        .map(violation => `[${violation.impact}] ${violation.help} (${violation.nodeCount} elements)`);
+  if (accessibilityIssues.length > 0) {
     checkPageBreak();
     doc.setFontSize(14);
     doc.setTextColor(0, 0, 0);
@@ -732,7 +2233,7 @@ function exportToPDF() {
     
     doc.setFontSize(10);
     doc.setTextColor(251, 191, 36);
-    data.accessibility.forEach((issue, index) => {
+    accessibilityIssues.forEach((issue, index) => {
       checkPageBreak();
       const lines = doc.splitTextToSize(`${index + 1}. ${issue}`, maxWidth);
       doc.text(lines, margin, yPos);
@@ -763,7 +2264,8 @@ function exportToPDF() {
   });
 
   // Add screenshot on last page if available
-  if (data.screenshot) {
+  const screenshotData = await loadScreenshotData(data);
+  if (screenshotData) {
     doc.addPage();
     yPos = 20;
     doc.setFontSize(14);
@@ -772,8 +2274,7 @@ function exportToPDF() {
     yPos += 10;
     
     try {
-      const imgData = 'data:image/jpeg;base64,' + data.screenshot;
-      doc.addImage(imgData, 'JPEG', margin, yPos, maxWidth, maxWidth * 0.6);
+      doc.addImage(screenshotData, 'JPEG', margin, yPos, maxWidth, maxWidth * 0.6);
     } catch (e) {
       console.error('Error adding screenshot to PDF:', e);
     }
@@ -808,6 +2309,34 @@ function exportToPDF() {
   showToast('PDF report downloaded successfully! 📄');
 }
 
+/**
+ * Fetch the viewport screenshot as a data URL for the PDF
+ */
+async function loadScreenshotData(data) {
+  if (data.screenshot) {
+    return 'data:image/jpeg;base64,' + data.screenshot;
+  }
+
+  const capture = (data.screenshots || []).find(c => c.kind === 'viewport');
+  if (!capture) return null;
+
+  try {
+    const response = await fetch(`${API_URL}${capture.url}`);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = reject;
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    console.error('Failed to load screenshot:', error);
+    return null;
+  }
+}
+
 /**
  * Export results to JSON
  */
@@ -868,6 +2397,82 @@ function showToast(message) {
   }, 3000);
 }
 
+/* =======================================
+   SCREENSHOTS
+======================================= */
+
+// Captures shown by the modal, keyed by the view that rendered them
+const screenshotSets = {};
+
+/**
+ * Normalize a result's screenshots into { label, src } entries for the modal.
+ * Older results (e.g. from history) carry a single inline base64 capture.
+ */
+function registerScreenshots(key, data) {
+  if (data.screenshots) {
+    screenshotSets[key] = data.screenshots.map(capture => ({
+      label: capture.label,
+      src: `${API_URL}${capture.url}`
+    }));
+  } else if (data.screenshot) {
+    screenshotSets[key] = [{ label: 'Viewport', src: `data:image/jpeg;base64,${data.screenshot}` }];
+  } else {
+    screenshotSets[key] = [];
+  }
+  return screenshotSets[key];
+}
+
+/**
+ * Render screenshot preview with a thumbnail per capture
+ */
+function renderScreenshotSection(data) {
+  const captures = registerScreenshots('results', data);
+  if (captures.length === 0) return '';
+
+  return `
+    <div class="screenshot-section">
+      <div class="section-header active" onclick="toggleScreenshot()">
+        Screenshot Preview
+      </div>
+      <div class="section-content active" id="screenshotContent">
+        <div class="section-body">
+          <img src="${captures[0].src}" 
+               alt="Website Screenshot" 
+               class="screenshot-preview"
+               onclick="openScreenshotModal('results', 0)">
+          ${captures.length > 1 ? `
+            <div class="screenshot-thumbs">
+              ${captures.map((capture, index) => `
+                <button class="screenshot-thumb" onclick="openScreenshotModal('results', ${index})">
+                  <img src="${capture.src}" alt="${escapeHtml(capture.label)}" loading="lazy">
+                  <span>${escapeHtml(capture.label)}</span>
+                </button>
+              `).join('')}
+            </div>
+          ` : ''}
+          <p class="screenshot-hint">Click an image to view full size</p>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the screenshot modal shell
+ */
+function renderScreenshotModal() {
+  return `
+    <!-- Screenshot Modal -->
+    <div id="screenshotModal" class="modal" onclick="closeScreenshotModal()">
+      <span class="modal-close">&times;</span>
+      <div class="modal-tabs" id="modalTabs" onclick="event.stopPropagation()"></div>
+      <div class="modal-scroll">
+        <img class="modal-content" id="modalImage" onclick="event.stopPropagation()">
+      </div>
+    </div>
+  `;
+}
+
 /**
  * Toggle screenshot section
  */
@@ -879,13 +2484,23 @@ function toggleScreenshot() {
 }
 
 /**
- * Open screenshot in modal
+ * Open screenshot in modal, with tabs to switch between captures
  */
-function openScreenshotModal(src) {
+function openScreenshotModal(key, index = 0) {
   const modal = document.getElementById('screenshotModal');
-  const modalImg = document.getElementById('modalImage');
+  const captures = screenshotSets[key] || [];
+  if (!captures[index]) return;
+
+  document.getElementById('modalTabs').innerHTML = captures.length > 1
+    ? captures.map((capture, i) => `
+        <button class="modal-tab ${i === index ? 'active' : ''}" onclick="openScreenshotModal('${key}', ${i})">
+          ${escapeHtml(capture.label)}
+        </button>
+      `).join('')
+    : '';
+
   modal.style.display = 'flex';
-  modalImg.src = src;
+  document.getElementById('modalImage').src = captures[index].src;
   document.body.style.overflow = 'hidden';
 }
 
@@ -902,118 +2517,115 @@ function closeScreenshotModal() {
    SCAN HISTORY
 ======================================= */
 
-const HISTORY_KEY = 'site_scanner_history';
-const MAX_HISTORY = 50;
+// Scans are stored on the server; this caches the last listing for the panel
+let historyCache = [];
+let historyFilterTimer = null;
 
 /**
- * Save scan to history
+ * Fetch the scan list from the server, applying the panel's URL filter
  */
-function saveToHistory(data) {
-  try {
-    let history = getHistory();
-    
-    // Create history entry (exclude screenshot to save space)
-    const entry = {
-      id: Date.now(),
-      url: data.url,
-      timestamp: data.meta.analyzedAt,
-      scores: {
-        seo: data.seo.score,
-        loadTime: data.performance.loadTime,
-        accessibility: data.accessibility.length,
-        security: data.security.length,
-        lighthouse: data.lighthouse ? {
-          performance: data.lighthouse.categories.performance?.score || null,
-          accessibility: data.lighthouse.categories.accessibility?.score || null,
-          seo: data.lighthouse.categories.seo?.score || null,
-          bestPractices: data.lighthouse.categories['best-practices']?.score || null,
-          pwa: data.lighthouse.categories.pwa?.score || null
-        } : null
-      },
-      quickMode: data.meta.quickMode,
-      // Store full data but without screenshot
-      fullData: { ...data, screenshot: null }
-    };
-    
-    // Add to beginning of array
-    history.unshift(entry);
-    
-    // Keep only last MAX_HISTORY entries
-    if (history.length > MAX_HISTORY) {
-      history = history.slice(0, MAX_HISTORY);
-    }
-    
-    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
-    console.log('✓ Scan saved to history');
-    
-    // Update history UI if visible
-    updateHistoryDisplay();
-    
-  } catch (error) {
-    console.error('Failed to save to history:', error);
+async function fetchHistory() {
+  const filter = document.getElementById('historyFilter');
+  const params = new URLSearchParams({ limit: 100 });
+  if (filter && filter.value.trim()) params.set('url', filter.value.trim());
+
+  const response = await fetch(`${API_URL}/scans?${params}`);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to load history');
   }
+
+  historyCache = data.scans;
+  return historyCache;
 }
 
 /**
- * Get scan history from localStorage
+ * Get the most recently fetched scan list
  */
 function getHistory() {
-  try {
-    const data = localStorage.getItem(HISTORY_KEY);
-    return data ? JSON.parse(data) : [];
-  } catch (error) {
-    console.error('Failed to load history:', error);
-    return [];
+  return historyCache;
+}
+
+/**
+ * Fetch a full scan result by id
+ */
+async function fetchScan(id) {
+  const response = await fetch(`${API_URL}/scans/${id}`);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to load scan');
   }
+
+  return data;
 }
 
 /**
  * Delete scan from history
  */
-function deleteFromHistory(id) {
+async function deleteFromHistory(id) {
   try {
-    let history = getHistory();
-    history = history.filter(entry => entry.id !== id);
-    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
-    updateHistoryDisplay();
+    const response = await fetch(`${API_URL}/scans/${id}`, { method: 'DELETE' });
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`Delete failed (${response.status})`);
+    }
+
+    selectedForCompare = selectedForCompare.filter(i => i !== id);
+    await updateHistoryDisplay();
     showToast('Scan deleted from history 🗑️');
   } catch (error) {
     console.error('Failed to delete from history:', error);
+    showToast('Failed to delete scan ❌');
   }
 }
 
 /**
- * Clear all history
+ * Clear all listed history
  */
-function clearHistory() {
-  if (confirm('Are you sure you want to clear all scan history? This cannot be undone.')) {
-    localStorage.removeItem(HISTORY_KEY);
-    updateHistoryDisplay();
-    showToast('History cleared ✨');
+async function clearHistory() {
+  const history = getHistory();
+  if (history.length === 0) return;
+
+  if (confirm(`Delete ${history.length} listed scans from the server? History is shared with your team and this cannot be undone.`)) {
+    try {
+      await Promise.all(history.map(entry =>
+        fetch(`${API_URL}/scans/${entry.id}`, { method: 'DELETE' })
+      ));
+      selectedForCompare = [];
+      await updateHistoryDisplay();
+      showToast('History cleared ✨');
+    } catch (error) {
+      console.error('Failed to clear history:', error);
+      showToast('Failed to clear history ❌');
+    }
   }
 }
 
 /**
  * Load scan from history
  */
-function loadFromHistory(id) {
+async function loadFromHistory(id) {
   try {
-    const history = getHistory();
-    const entry = history.find(e => e.id === id);
-    
-    if (entry && entry.fullData) {
-      displayResults(entry.fullData);
-      showToast('Scan loaded from history 📂');
-      toggleHistory(); // Close panel
-      
-      // Scroll to results
-      setTimeout(() => {
-        document.getElementById('output').scrollIntoView({ 
-          behavior: 'smooth', 
-          block: 'start' 
-        });
-      }, 100);
+    const data = await fetchScan(id);
+
+    window.deviceComparisonData = null;
+    window.batchData = null;
+    if (data.mode === 'crawl') {
+      displayCrawlResults(data);
+    } else {
+      displayResults(data);
     }
+    showToast('Scan loaded from history 📂');
+    toggleHistory(); // Close panel
+    
+    // Scroll to results
+    setTimeout(() => {
+      document.getElementById('output').scrollIntoView({ 
+        behavior: 'smooth', 
+        block: 'start' 
+      });
+    }, 100);
   } catch (error) {
     console.error('Failed to load from history:', error);
     showToast('Failed to load scan ❌');
@@ -1039,14 +2651,37 @@ function toggleHistory() {
   }
 }
 
+/**
+ * Re-fetch history shortly after the URL filter changes
+ */
+function filterHistory() {
+  clearTimeout(historyFilterTimer);
+  historyFilterTimer = setTimeout(updateHistoryDisplay, 300);
+}
+
 /**
  * Update history display
  */
-function updateHistoryDisplay() {
+async function updateHistoryDisplay() {
   const container = document.getElementById('historyList');
   if (!container) return;
   
-  const history = getHistory();
+  let history;
+  try {
+    history = await fetchHistory();
+  } catch (error) {
+    console.error('Failed to load history:', error);
+    container.innerHTML = `
+      <div class="history-empty">
+        <div class="history-empty-icon">⚠️</div>
+        <div class="history-empty-title">History Unavailable</div>
+        <div class="history-empty-message">
+          Cannot load scans from the analysis server. Make sure the server is running on port 5000.
+        </div>
+      </div>
+    `;
+    return;
+  }
   
   if (history.length === 0) {
     container.innerHTML = `
@@ -1064,33 +2699,45 @@ function updateHistoryDisplay() {
   container.innerHTML = history.map(entry => `
     <div class="history-item" data-id="${entry.id}">
       <div class="history-item-header">
-        <label class="history-compare-checkbox">
-          <input type="checkbox" 
-                 class="compare-checkbox" 
-                 data-id="${entry.id}"
-                 onchange="handleCompareSelection(${entry.id})">
-          <span class="checkbox-label">Compare</span>
-        </label>
+        ${entry.mode === 'crawl' ? '' : `
+          <label class="history-compare-checkbox">
+            <input type="checkbox" 
+                   class="compare-checkbox" 
+                   data-id="${entry.id}"
+                   ${selectedForCompare.includes(entry.id) ? 'checked' : ''}
+                   onchange="handleCompareSelection('${entry.id}')">
+            <span class="checkbox-label">Compare</span>
+          </label>
+        `}
         <div class="history-item-url">${escapeHtml(entry.url)}</div>
-        <button class="history-item-delete" onclick="deleteFromHistory(${entry.id})" title="Delete">
+        <button class="history-item-delete" onclick="deleteFromHistory('${entry.id}')" title="Delete">
           ×
         </button>
       </div>
       
       <div class="history-item-meta">
-        <span class="history-item-date">${formatDate(entry.timestamp)}</span>
+        <span class="history-item-date">${formatDate(entry.analyzedAt)}</span>
+        ${entry.mode === 'crawl' ? '<span class="history-badge device">Crawl</span>' : ''}
         ${entry.quickMode ? '<span class="history-badge quick">Quick Mode</span>' : ''}
+        ${entry.deviceName ? `<span class="history-badge device">${escapeHtml(entry.deviceName)}</span>` : ''}
       </div>
       
       <div class="history-item-scores">
         <div class="history-score-mini">
           <div class="history-score-label">SEO</div>
-          <div class="history-score-value" data-score="${entry.scores.seo}">${entry.scores.seo}</div>
-        </div>
-        <div class="history-score-mini">
-          <div class="history-score-label">Load</div>
-          <div class="history-score-value">${(entry.scores.loadTime / 1000).toFixed(1)}s</div>
+          <div class="history-score-value" data-score="${entry.scores.seo}">${entry.scores.seo ?? '—'}</div>
         </div>
+        ${entry.mode === 'crawl' ? `
+          <div class="history-score-mini">
+            <div class="history-score-label">Pages</div>
+            <div class="history-score-value">${entry.scores.pages}</div>
+          </div>
+        ` : `
+          <div class="history-score-mini">
+            <div class="history-score-label">Load</div>
+            <div class="history-score-value">${(entry.scores.loadTime / 1000).toFixed(1)}s</div>
+          </div>
+        `}
         ${entry.scores.lighthouse && entry.scores.lighthouse.performance !== null ? `
           <div class="history-score-mini">
             <div class="history-score-label">LH</div>
@@ -1099,7 +2746,7 @@ function updateHistoryDisplay() {
         ` : ''}
       </div>
       
-      <button class="history-item-load" onclick="loadFromHistory(${entry.id})">
+      <button class="history-item-load" onclick="loadFromHistory('${entry.id}')">
         View Results →
       </button>
     </div>
@@ -1200,7 +2847,7 @@ function updateCompareButton() {
 /**
  * Start comparison
  */
-function startComparison() {
+async function startComparison() {
   if (selectedForCompare.length !== 2) {
     showToast('Please select 2 scans to compare ⚖️');
     return;
@@ -1215,7 +2862,14 @@ function startComparison() {
     return;
   }
   
-  displayComparison(scan1, scan2);
+  try {
+    const [data1, data2] = await Promise.all([fetchScan(scan1.id), fetchScan(scan2.id)]);
+    displayComparison({ ...scan1, fullData: data1 }, { ...scan2, fullData: data2 });
+  } catch (error) {
+    console.error('Failed to load scans for comparison:', error);
+    showToast('Error loading scans ❌');
+    return;
+  }
   toggleHistory();
   
   // Scroll to results
@@ -1248,10 +2902,10 @@ function displayComparison(scan1, scan2) {
           <div class="compare-column-header scan-a">
             <div class="compare-label">Scan A</div>
             <div class="compare-url">${escapeHtml(scan1.url)}</div>
-            <div class="compare-date">${formatDate(scan1.timestamp)}</div>
+            <div class="compare-date">${formatDate(scan1.analyzedAt)}</div>
           </div>
           
-          ${renderComparisonScores(scan1, 'a')}
+          ${renderComparisonScores(scan1, scan2)}
           ${renderComparisonDetails(scan1, 'a')}
         </div>
         
@@ -1260,14 +2914,17 @@ function displayComparison(scan1, scan2) {
           <div class="compare-column-header scan-b">
             <div class="compare-label">Scan B</div>
             <div class="compare-url">${escapeHtml(scan2.url)}</div>
-            <div class="compare-date">${formatDate(scan2.timestamp)}</div>
+            <div class="compare-date">${formatDate(scan2.analyzedAt)}</div>
           </div>
           
-          ${renderComparisonScores(scan2, 'b')}
+          ${renderComparisonScores(scan2, scan1)}
           ${renderComparisonDetails(scan2, 'b')}
         </div>
       </div>
       
+      <!-- Visual Diff -->
+      ${renderVisualDiffSection(scan1, scan2)}
+      
       <!-- Summary -->
       ${renderComparisonSummary(scan1, scan2)}
     </div>
@@ -1276,14 +2933,117 @@ function displayComparison(scan1, scan2) {
   output.innerHTML = html;
 }
 
+/**
+ * Render visual diff controls (older scan is the baseline)
+ */
+function renderVisualDiffSection(scan1, scan2) {
+  const [base, target] = [scan1, scan2]
+    .sort((a, b) => new Date(a.analyzedAt) - new Date(b.analyzedAt))
+    .map(scan => scan.fullData);
+
+  if (!base.meta.scanId || !target.meta.scanId || !base.screenshots || !target.screenshots) {
+    return '';
+  }
+
+  const deviceId = data => data.meta.device ? data.meta.device.id : 'desktop';
+  let body;
+
+  if (base.url !== target.url || deviceId(base) !== deviceId(target)) {
+    body = '<p class="empty">Visual diff needs two scans of the same URL and device.</p>';
+  } else {
+    const targetNames = target.screenshots.map(capture => capture.name);
+    const captures = base.screenshots.filter(capture => targetNames.includes(capture.name));
+
+    body = `
+      <div class="visual-diff-controls">
+        <label>
+          Capture
+          <select id="visualDiffCapture" class="device-select">
+            ${captures.map(capture => `
+              <option value="${escapeHtml(capture.name)}">${escapeHtml(capture.label)}</option>
+            `).join('')}
+          </select>
+        </label>
+        <label>
+          Sensitivity
+          <input type="number" id="visualDiffThreshold" class="device-select" min="0" max="1" step="0.05" value="0.1">
+        </label>
+        <label>
+          Max change %
+          <input type="number" id="visualDiffMaxChange" class="device-select" min="0" max="100" step="0.5" value="1">
+        </label>
+        <button class="history-item-load" onclick="runVisualDiff('${base.meta.scanId}', '${target.meta.scanId}')">
+          Run Visual Diff
+        </button>
+      </div>
+      <div id="visualDiffResult"></div>
+    `;
+  }
+
+  return `
+    <div class="compare-summary visual-diff">
+      <h3 class="compare-summary-title">🖼️ Visual Diff</h3>
+      ${body}
+    </div>
+  `;
+}
+
+/**
+ * Request a pixel diff from the server and show it
+ */
+async function runVisualDiff(baseScanId, targetScanId) {
+  const container = document.getElementById('visualDiffResult');
+  const params = new URLSearchParams({
+    against: baseScanId,
+    capture: document.getElementById('visualDiffCapture').value,
+    threshold: document.getElementById('visualDiffThreshold').value,
+    maxChange: document.getElementById('visualDiffMaxChange').value
+  });
+
+  container.innerHTML = '<p class="empty">Comparing screenshots...</p>';
+
+  try {
+    const response = await fetch(`${API_URL}/scans/${targetScanId}/diff?${params}`);
+    const diff = await response.json();
+
+    if (!response.ok) {
+      throw new Error(diff.error || 'Visual diff failed');
+    }
+
+    container.innerHTML = `
+      <div class="visual-diff-summary">
+        <span class="grade-badge ${diff.passed ? 'grade-pass' : 'grade-fail'}">
+          ${diff.changedPercent}% changed
+        </span>
+        <span>${diff.changedPixels.toLocaleString()} of ${diff.totalPixels.toLocaleString()} pixels
+          (limit ${diff.maxChangedPercent}%)</span>
+        ${diff.sizeChanged ? '<span class="grade-badge grade-warn">Page size changed</span>' : ''}
+      </div>
+      <div class="visual-diff-images">
+        ${[
+          ['Before', diff.base.imageUrl],
+          ['After', diff.target.imageUrl],
+          ['Difference', diff.diffUrl]
+        ].map(([label, url]) => `
+          <figure>
+            <figcaption>${label}</figcaption>
+            <a href="${API_URL}${url}" target="_blank" rel="noopener">
+              <img src="${API_URL}${url}" alt="${label}" class="screenshot-preview">
+            </a>
+          </figure>
+        `).join('')}
+      </div>
+    `;
+  } catch (error) {
+    container.innerHTML = `<p class="empty">${escapeHtml(error.message)}</p>`;
+  }
+}
+
 /**
  * Render comparison scores
  */
-function renderComparisonScores(scan, side) {
+function renderComparisonScores(scan, otherScan) {
   const scores = scan.scores;
-  const otherScan = side === 'a' ? 
-    getHistory().find(e => e.id === selectedForCompare[1]) : 
-    getHistory().find(e => e.id === selectedForCompare[0]);
   const otherScores = otherScan.scores;
   
   return `
@@ -1376,7 +3136,7 @@ function renderComparisonDetails(scan, side) {
         <h4>Technology Stack</h4>
         <div class="compare-tech-list">
           ${data.techStack && data.techStack.length > 0 ? 
-            data.techStack.map(t => `<span class="tech-chip">${escapeHtml(t)}</span>`).join('') : 
+            data.techStack.map(t => `<span class="tech-chip">${escapeHtml(techLabel(t))}</span>`).join('') : 
             '<span class="empty">None detected</span>'}
         </div>
       </div>
@@ -1385,7 +3145,7 @@ function renderComparisonDetails(scan, side) {
         <h4>Trackers</h4>
         <div class="compare-tech-list">
           ${data.trackers && data.trackers.length > 0 ? 
-            data.trackers.map(t => `<span class="tech-chip tracker">${escapeHtml(t)}</span>`).join('') : 
+            data.trackers.map(t => `<span class="tech-chip tracker">${escapeHtml(typeof t === 'string' ? t : t.name)}</span>`).join('') : 
             '<span class="empty">None detected</span>'}
         </div>
       </div>
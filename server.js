@@ -3,7 +3,18 @@ const puppeteer = require("puppeteer");
 const cheerio = require("cheerio");
 const cors = require("cors");
 const dns = require("dns");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const tls = require("tls");
+const net = require("net");
+const { EventEmitter } = require("events");
 const lighthouse = require("lighthouse");
+const jpeg = require("jpeg-js");
+const { PNG } = require("pngjs");
+const pixelmatch = require("pixelmatch");
+const axe = require("axe-core");
 
 dns.setDefaultResultOrder("ipv4first");
 
@@ -18,10 +29,125 @@ app.use(express.static("public"));
 ================================ */
 let browser;
 
+const DESKTOP_USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36";
+
+/* ===============================
+   Device Profiles
+================================ */
+// Desktop throttling mirrors Lighthouse's own desktop preset; mobile and
+// tablet keep Lighthouse's default (slow 4G, 4x CPU slowdown).
+const LIGHTHOUSE_DESKTOP_THROTTLING = {
+  rttMs: 40,
+  throughputKbps: 10 * 1024,
+  cpuSlowdownMultiplier: 1,
+  requestLatencyMs: 0,
+  downloadThroughputKbps: 0,
+  uploadThroughputKbps: 0
+};
+
+const DEVICE_PROFILES = {
+  desktop: {
+    name: 'Desktop',
+    userAgent: DESKTOP_USER_AGENT,
+    viewport: { width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+    lighthouse: {
+      formFactor: 'desktop',
+      screenEmulation: { mobile: false, width: 1350, height: 940, deviceScaleFactor: 1, disabled: false },
+      throttling: LIGHTHOUSE_DESKTOP_THROTTLING
+    }
+  },
+  mobile: {
+    name: 'Mobile (Pixel 7)',
+    userAgent: "Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Mobile Safari/537.36",
+    viewport: { width: 412, height: 915, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true },
+    lighthouse: {
+      formFactor: 'mobile',
+      screenEmulation: { mobile: true, width: 412, height: 915, deviceScaleFactor: 2.625, disabled: false }
+    }
+  },
+  tablet: {
+    name: 'Tablet (iPad Air)',
+    userAgent: "Mozilla/5.0 (iPad; CPU OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1",
+    viewport: { width: 820, height: 1180, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+    lighthouse: {
+      // Lighthouse only knows mobile and desktop form factors
+      formFactor: 'mobile',
+      screenEmulation: { mobile: true, width: 820, height: 1180, deviceScaleFactor: 2, disabled: false }
+    }
+  }
+};
+
+// "both" runs these two profiles side by side
+const DEVICE_PAIR = ['desktop', 'mobile'];
+
+async function applyDeviceProfile(page, profile) {
+  await page.setUserAgent(profile.userAgent);
+  await page.setViewport(profile.viewport);
+}
+
+function describeDevice(id) {
+  const profile = DEVICE_PROFILES[id];
+  return {
+    id,
+    name: profile.name,
+    viewport: profile.viewport,
+    userAgent: profile.userAgent,
+    lighthouseFormFactor: profile.lighthouse.formFactor
+  };
+}
+
 /* ===============================
    Helper Functions
 ================================ */
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const noProgress = () => {};
+
+// Everything here logs through `logger`, so an embedder such as the CLI can
+// redirect progress output without replacing the global console
+let logger = console;
+
+function setLogger(customLogger) {
+  logger = customLogger;
+}
+
+// Data files and stores load on first use, so requiring this module reads
+// and creates nothing until a scan actually needs it
+function lazy(load) {
+  let value;
+  let loaded = false;
+  return () => {
+    if (!loaded) {
+      value = load();
+      loaded = true;
+    }
+    return value;
+  };
+}
+
+// Errors carrying an HTTP status for the route handlers (and an optional code)
+function httpError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+// Runs fn over items with at most `limit` calls in flight; keeps input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
 async function initBrowser() {
   if (!browser) {
@@ -38,7 +164,128 @@ async function initBrowser() {
         "--disable-features=IsolateOrigins,site-per-process"
       ]
     });
-    console.log(" Puppeteer browser launched");
+    logger.log(" Puppeteer browser launched");
+  }
+}
+
+async function closeBrowser() {
+  if (browser) {
+    await browser.close();
+    browser = null;
+  }
+}
+
+/* ===============================
+   Concurrency Limits
+================================ */
+const MAX_CONCURRENT_PAGES = parseInt(process.env.MAX_CONCURRENT_PAGES, 10) || 3;
+const MAX_CONCURRENT_LIGHTHOUSE = parseInt(process.env.MAX_CONCURRENT_LIGHTHOUSE, 10) || 1;
+const MAX_QUEUE_LENGTH = parseInt(process.env.MAX_QUEUE_LENGTH, 10) || 20;
+const QUEUE_TIMEOUT_MS = parseInt(process.env.QUEUE_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+
+/**
+ * FIFO limiter: at most `concurrency` holders at once, at most `maxQueue`
+ * waiters. Waiters are told their 1-based queue position whenever it changes.
+ * Unbounded waiters (batch items) skip the queue cap and the wait timeout;
+ * they still queue in order but do not count towards `maxQueue`.
+ */
+function createLimiter(name, concurrency, maxQueue, queueTimeout) {
+  let active = 0;
+  let boundedWaiting = 0;
+  const waiting = [];
+
+  function notifyPositions() {
+    waiting.forEach((waiter, index) => waiter.onQueued(index + 1));
+  }
+
+  function dequeue(waiter) {
+    if (waiter.bounded) boundedWaiting--;
+    clearTimeout(waiter.timer);
+  }
+
+  function acquire(onQueued = noProgress, { bounded = true } = {}) {
+    if (active < concurrency && waiting.length === 0) {
+      active++;
+      return Promise.resolve();
+    }
+
+    if (bounded && boundedWaiting >= maxQueue) {
+      return Promise.reject(httpError(
+        `The ${name} queue is full (${maxQueue} waiting). Try again shortly.`,
+        429,
+        'QUEUE_FULL'
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, onQueued, bounded };
+
+      if (bounded) {
+        boundedWaiting++;
+        waiter.timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          dequeue(waiter);
+          notifyPositions();
+          reject(httpError(
+            `Waited more than ${Math.round(queueTimeout / 1000)}s for a free ${name} slot.`,
+            503,
+            'QUEUE_TIMEOUT'
+          ));
+        }, queueTimeout);
+      }
+
+      waiting.push(waiter);
+      onQueued(waiting.length);
+    });
+  }
+
+  function release() {
+    const next = waiting.shift();
+
+    if (next) {
+      // Hand the slot straight to the next waiter; `active` stays the same
+      dequeue(next);
+      next.resolve();
+      notifyPositions();
+    } else {
+      active = Math.max(active - 1, 0);
+    }
+  }
+
+  return {
+    acquire,
+    release,
+    isFull: () => active >= concurrency && boundedWaiting >= maxQueue,
+    stats: () => ({ active, queued: waiting.length, concurrency, maxQueue })
+  };
+}
+
+const pagePool = createLimiter('browser page', MAX_CONCURRENT_PAGES, MAX_QUEUE_LENGTH, QUEUE_TIMEOUT_MS);
+const lighthousePool = createLimiter('Lighthouse', MAX_CONCURRENT_LIGHTHOUSE, Infinity, QUEUE_TIMEOUT_MS);
+
+/**
+ * Every scan gets its own incognito BrowserContext so cookies, storage,
+ * cache and service workers never carry over from a previous scan.
+ */
+async function acquirePage(onQueued, options) {
+  await pagePool.acquire(onQueued, options);
+
+  let context;
+  try {
+    context = await browser.createBrowserContext();
+    return await context.newPage();
+  } catch (error) {
+    if (context) await context.close().catch(() => {});
+    pagePool.release();
+    throw error;
+  }
+}
+
+async function releasePage(page) {
+  try {
+    await page.browserContext().close();
+  } finally {
+    pagePool.release();
   }
 }
 
@@ -55,558 +302,5602 @@ function normalizeUrl(input) {
   }
 }
 
+/* ===============================
+   Page Loading
+================================ */
+async function loadPage(page, targetUrl, timeout) {
+  try {
+    logger.log(`Loading ${targetUrl} with networkidle2...`);
+    const response = await page.goto(targetUrl, {
+      waitUntil: "networkidle2",
+      timeout: timeout
+    });
+    logger.log('✓ Loaded with networkidle2');
+    return response;
+  } catch (navError) {
+    logger.log('✗ networkidle2 failed, trying domcontentloaded...');
+  }
+
+  try {
+    const response = await page.goto(targetUrl, {
+      waitUntil: "domcontentloaded",
+      timeout: timeout
+    });
+    logger.log('✓ Loaded with domcontentloaded');
+    return response;
+  } catch (navError2) {
+    logger.log('✗ domcontentloaded failed, trying load...');
+  }
+
+  try {
+    const response = await page.goto(targetUrl, {
+      waitUntil: "load",
+      timeout: timeout
+    });
+    logger.log('✓ Loaded with load event');
+    return response;
+  } catch (navError3) {
+    throw new Error(`Unable to load ${targetUrl}. The site may be blocking automated access, experiencing issues, or taking too long to respond.`);
+  }
+}
+
 /* ===============================
    Tech Detection
 ================================ */
-async function detectTechStack(page, html) {
-  const tech = [];
-  const lower = html.toLowerCase();
+const FINGERPRINTS_DIR = process.env.FINGERPRINTS_DIR || path.join(__dirname, 'fingerprints');
+const FINGERPRINT_SOURCES = ['headers', 'cookies', 'meta', 'scripts', 'html', 'js'];
+
+/**
+ * A pattern is either a regex string or
+ * { pattern, version: "$1", confidence: 0-100 }. An empty pattern only
+ * checks that the header/cookie/meta/global exists.
+ */
+function compileFingerprintPattern(raw) {
+  const spec = typeof raw === 'string' ? { pattern: raw } : raw;
+
+  return {
+    regex: new RegExp(spec.pattern || '', 'i'),
+    version: spec.version || null,
+    confidence: spec.confidence !== undefined ? spec.confidence : 100
+  };
+}
+
+function compileFingerprint(name, rule) {
+  const compiled = {
+    name,
+    category: rule.category || 'Other',
+    website: rule.website || null,
+    implies: rule.implies || []
+  };
+
+  FINGERPRINT_SOURCES.forEach(source => {
+    const patterns = rule[source];
+    if (!patterns) return;
 
+    if (Array.isArray(patterns)) {
+      compiled[source] = patterns.map(compileFingerprintPattern);
+    } else {
+      // Keyed sources: header/cookie/meta names and JS global paths
+      compiled[source] = Object.entries(patterns).map(([key, raw]) => ({
+        key: source === 'headers' ? key.toLowerCase() : key,
+        ...compileFingerprintPattern(raw)
+      }));
+    }
+  });
+
+  return compiled;
+}
+
+function loadFingerprints(dir) {
+  const fingerprints = new Map();
+
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    logger.error(`Could not read fingerprints from ${dir}:`, error.message);
+    return fingerprints;
+  }
+
+  files.forEach(file => {
+    try {
+      const rules = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      Object.entries(rules).forEach(([name, rule]) => {
+        fingerprints.set(name, compileFingerprint(name, rule));
+      });
+    } catch (error) {
+      logger.error(`Skipping fingerprint file ${file}:`, error.message);
+    }
+  });
+
+  logger.log(`✓ Loaded ${fingerprints.size} technology fingerprints from ${files.length} files`);
+  return fingerprints;
+}
+
+const getFingerprints = lazy(() => loadFingerprints(FINGERPRINTS_DIR));
+
+function matchFingerprintPattern(compiled, value) {
+  const match = compiled.regex.exec(value);
+  if (!match) return null;
+
+  const version = compiled.version
+    ? compiled.version.replace(/\$(\d)/g, (_, index) => match[index] || '').trim()
+    : '';
+
+  return { version: version || null, confidence: compiled.confidence };
+}
+
+async function evaluateJsGlobals(page, paths) {
+  if (paths.length === 0) return {};
+
+  return page.evaluate((globalPaths) => {
+    const values = {};
+    globalPaths.forEach(globalPath => {
+      try {
+        let value = window;
+        for (const key of globalPath.split('.')) {
+          if (value === null || value === undefined) break;
+          value = value[key];
+        }
+        if (value === null || value === undefined) return;
+        values[globalPath] = typeof value === 'object' || typeof value === 'function'
+          ? ''
+          : String(value);
+      } catch {
+        // Getters on some globals throw; treat as absent
+      }
+    });
+    return values;
+  }, paths).catch(() => ({}));
+}
+
+async function detectTechStack(page, html, headers = {}, cookies = []) {
   const generator = await page.$eval(
     'meta[name="generator"]',
     el => el.content,
   ).catch(() => null);
 
-  if (generator) tech.push(generator);
+  const meta = await page.$$eval('meta[name], meta[property]', els =>
+    els.map(el => ({
+      key: (el.getAttribute('name') || el.getAttribute('property')).toLowerCase(),
+      content: el.getAttribute('content') || ''
+    }))
+  ).catch(() => []);
 
-  const scripts = await page.$$eval("script", s =>
-    s.map(el => el.src || "")
-  );
+  const scripts = await page.$$eval("script[src]", s =>
+    s.map(el => el.src)
+  ).catch(() => []);
+
+  const jsPaths = new Set();
+  getFingerprints().forEach(fp => (fp.js || []).forEach(rule => jsPaths.add(rule.key)));
+  const jsValues = await evaluateJsGlobals(page, [...jsPaths]);
 
-  const scriptString = scripts.join(" ").toLowerCase();
+  const cookieNames = cookies.map(cookie => cookie.name);
+  const detections = new Map();
 
-  if (scriptString.includes("react")) tech.push("React");
-  if (scriptString.includes("vue")) tech.push("Vue");
-  if (scriptString.includes("angular")) tech.push("Angular");
-  if (scriptString.includes("_next")) tech.push("Next.js");
-  if (scriptString.includes("nuxt")) tech.push("Nuxt.js");
-  if (scriptString.includes("svelte")) tech.push("Svelte");
+  function record(fp, source, evidence, hit) {
+    const detection = detections.get(fp.name) || {
+      name: fp.name,
+      category: fp.category,
+      version: null,
+      confidence: 0,
+      website: fp.website,
+      evidence: []
+    };
 
-  if (scriptString.includes("bootstrap")) tech.push("Bootstrap");
-  if (scriptString.includes("tailwind")) tech.push("Tailwind CSS");
+    detection.confidence = Math.min(100, detection.confidence + hit.confidence);
+    if (hit.version && (!detection.version || hit.version.length > detection.version.length)) {
+      detection.version = hit.version;
+    }
+    detection.evidence.push({ source, value: String(evidence).slice(0, 200) });
+    detections.set(fp.name, detection);
+  }
 
-  if (scriptString.includes("wp-content")) tech.push("WordPress");
-  if (scriptString.includes("woocommerce")) tech.push("WooCommerce");
-  if (scriptString.includes("shopify")) tech.push("Shopify");
-  if (scriptString.includes("squarespace")) tech.push("Squarespace");
-  if (scriptString.includes("wix")) tech.push("Wix");
+  getFingerprints().forEach(fp => {
+    (fp.headers || []).forEach(rule => {
+      if (headers[rule.key] === undefined) return;
+      const hit = matchFingerprintPattern(rule, headers[rule.key]);
+      if (hit) record(fp, 'header', `${rule.key}: ${headers[rule.key]}`, hit);
+    });
 
-  if (lower.includes('id="root"')) tech.push("React (likely)");
-  if (lower.includes('id="__next"')) tech.push("Next.js");
-  if (lower.includes('id="__nuxt"')) tech.push("Nuxt.js");
+    (fp.cookies || []).forEach(rule => {
+      const cookie = cookies.find(c => c.name === rule.key);
+      if (!cookie) return;
+      const hit = matchFingerprintPattern(rule, cookie.value || '');
+      if (hit) record(fp, 'cookie', rule.key, hit);
+    });
 
-  return [...new Set(tech)];
-}
+    (fp.meta || []).forEach(rule => {
+      meta.filter(m => m.key === rule.key.toLowerCase()).forEach(m => {
+        const hit = matchFingerprintPattern(rule, m.content);
+        if (hit) record(fp, 'meta', `${m.key}: ${m.content}`, hit);
+      });
+    });
 
+    (fp.scripts || []).forEach(rule => {
+      for (const src of scripts) {
+        const hit = matchFingerprintPattern(rule, src);
+        if (hit) {
+          record(fp, 'script', src, hit);
+          break;
+        }
+      }
+    });
 
-/* ===============================
-   Tracker Detection
-================================ */
-function detectTrackers(html) {
-  const trackers = [];
-  const lower = html.toLowerCase();
+    (fp.html || []).forEach(rule => {
+      const hit = matchFingerprintPattern(rule, html);
+      if (hit) record(fp, 'html', rule.regex.source, hit);
+    });
 
-  if (lower.includes("googletagmanager"))
-    trackers.push("Google Tag Manager");
-  if (lower.includes("google-analytics") || lower.includes("ga.js"))
-    trackers.push("Google Analytics");
-  if (lower.includes("fbq(") || lower.includes("facebook"))
-    trackers.push("Facebook Pixel");
-  if (lower.includes("tiktok"))
-    trackers.push("TikTok Pixel");
-  if (lower.includes("hotjar"))
-    trackers.push("Hotjar");
-  if (lower.includes("clarity.ms"))
-    trackers.push("Microsoft Clarity");
-  if (lower.includes("segment.com"))
-    trackers.push("Segment");
-  if (lower.includes("mixpanel"))
-    trackers.push("Mixpanel");
-  if (lower.includes("intercom"))
-    trackers.push("Intercom");
-
-  return trackers;
+    (fp.js || []).forEach(rule => {
+      if (jsValues[rule.key] === undefined) return;
+      const hit = matchFingerprintPattern(rule, jsValues[rule.key]);
+      if (hit) record(fp, 'js', rule.key, hit);
+    });
+  });
+
+  // Resolve "implies" after direct matches so chains (WooCommerce → WordPress) work
+  const queue = [...detections.values()];
+  while (queue.length > 0) {
+    const detection = queue.shift();
+    const fp = getFingerprints().get(detection.name);
+
+    (fp ? fp.implies : []).forEach(impliedName => {
+      const implied = getFingerprints().get(impliedName);
+      if (!implied) return;
+
+      const existing = detections.get(impliedName);
+      if (existing) {
+        if (!existing.evidence.some(e => e.source === 'implied')) {
+          existing.confidence = Math.max(existing.confidence, detection.confidence);
+          existing.evidence.push({ source: 'implied', value: detection.name });
+        }
+        return;
+      }
+
+      const added = {
+        name: implied.name,
+        category: implied.category,
+        version: null,
+        confidence: detection.confidence,
+        website: implied.website,
+        evidence: [{ source: 'implied', value: detection.name }]
+      };
+      detections.set(impliedName, added);
+      queue.push(added);
+    });
+  }
+
+  // Keep unrecognised generators visible, as before the fingerprint database
+  const generatorMatched = [...detections.values()]
+    .some(d => d.evidence.some(e => e.source === 'meta' && e.value.startsWith('generator:')));
+  if (generator && !generatorMatched) {
+    detections.set(generator, {
+      name: generator,
+      category: 'Generator',
+      version: null,
+      confidence: 100,
+      website: null,
+      evidence: [{ source: 'meta', value: `generator: ${generator}` }]
+    });
+  }
+
+  return [...detections.values()].sort((a, b) =>
+    a.category.localeCompare(b.category) || a.name.localeCompare(b.name)
+  );
 }
 
 /* ===============================
-   Layout Detection
+   Network Capture
 ================================ */
-function extractLayout($) {
-  const bodyTextLength = $("body").text().length;
+const SCANNER_VERSION = require("./package.json").version;
 
-  const headerLike =
-    $("header").length > 0 ||
-    $('[class*="header"]').length > 0 ||
-    $('[id*="header"]').length > 0;
+function applyResponse(entry, response) {
+  entry.status = response.status;
+  entry.statusText = response.statusText;
+  entry.mimeType = response.mimeType;
+  entry.protocol = response.protocol || null;
+  entry.responseHeaders = response.headers || {};
+  entry.timing = response.timing || null;
+  entry.remoteAddress = response.remoteIPAddress || null;
+  entry.fromCache = !!(response.fromDiskCache || response.fromServiceWorker || response.fromPrefetchCache);
+}
 
-  const navLike =
-    $("nav").length > 0 ||
-    $('[class*="nav"]').length > 0 ||
-    $('[id*="nav"]').length > 0;
+/**
+ * Records every request the page makes over CDP, which (unlike Puppeteer's
+ * request events) exposes compressed vs decoded sizes, protocol and timing.
+ */
+async function startNetworkCapture(page) {
+  const client = await page.createCDPSession();
+  const { frameTree } = await client.send('Page.getFrameTree');
+  const mainFrameId = frameTree.frame.id;
 
-  const footerLike =
-    $("footer").length > 0 ||
-    $('[class*="footer"]').length > 0 ||
-    $('[id*="footer"]').length > 0;
+  const requests = [];
+  const active = new Map();
 
-  const heroLike =
-    $('[class*="hero"]').length > 0 ||
-    $("h1").first().parent().text().length > 200;
+  client.on('Network.requestWillBeSent', event => {
+    const previous = active.get(event.requestId);
 
-  const sectionLike =
-    $("section").length +
-    $('[class*="section"]').length;
+    if (previous && event.redirectResponse) {
+      applyResponse(previous, event.redirectResponse);
+      previous.transferSize = event.redirectResponse.encodedDataLength || 0;
+      previous.endTime = event.timestamp;
+      previous.redirectURL = event.request.url;
+    } else if (event.type === 'Document' && event.frameId === mainFrameId) {
+      // loadPage retries navigation with a different waitUntil; start over so
+      // a retry doesn't double-count everything the first attempt fetched
+      requests.length = 0;
+      active.clear();
+    }
 
-  const mainLike =
-    $("main").length > 0 ||
-    $('[class*="main"]').length > 0;
+    const entry = {
+      requestId: event.requestId,
+      url: event.request.url,
+      method: event.request.method,
+      requestHeaders: event.request.headers || {},
+      postData: event.request.postData || null,
+      resourceType: (event.type || 'Other').toLowerCase(),
+      initiator: event.initiator || null,
+      startTime: event.timestamp,
+      wallTime: event.wallTime,
+      endTime: null,
+      status: null,
+      statusText: '',
+      mimeType: null,
+      protocol: null,
+      responseHeaders: {},
+      timing: null,
+      remoteAddress: null,
+      fromCache: false,
+      transferSize: 0,
+      resourceSize: 0,
+      redirectURL: null,
+      failed: false,
+      errorText: null
+    };
 
-  return {
-    hasHeader: headerLike,
-    hasNav: navLike,
-    hasFooter: footerLike,
-    hasHero: heroLike,
-    hasMain: mainLike,
-    sectionCount: sectionLike,
-    articleCount: $("article").length,
-    formCount: $("form").length,
-    buttonCount: $("button").length,
-    imageCount: $("img").length,
-    linkCount: $("a").length,
-    bodyTextLength
-  };
-}
+    requests.push(entry);
+    active.set(event.requestId, entry);
+  });
 
+  client.on('Network.responseReceived', event => {
+    const entry = active.get(event.requestId);
+    if (entry) applyResponse(entry, event.response);
+  });
 
-/* ===============================
-   SEO Analysis
-================================ */
-function analyzeSEO($) {
-  const title = $("title").text() || null;
-  const metaDescription =
-    $('meta[name="description"]').attr("content") || null;
+  client.on('Network.dataReceived', event => {
+    const entry = active.get(event.requestId);
+    if (entry) entry.resourceSize += event.dataLength;
+  });
 
-  const h1Count = $("h1").length;
-  const h1Text = $("h1").first().text() || null;
-  const imagesWithoutAlt = $("img:not([alt])").length;
-  
-  const canonical = $('link[rel="canonical"]').attr('href') || null;
-  const ogTitle = $('meta[property="og:title"]').attr('content') || null;
-  const ogDescription = $('meta[property="og:description"]').attr('content') || null;
-  const ogImage = $('meta[property="og:image"]').attr('content') || null;
+  client.on('Network.loadingFinished', event => {
+    const entry = active.get(event.requestId);
+    if (!entry) return;
+    entry.transferSize = event.encodedDataLength;
+    entry.endTime = event.timestamp;
+  });
+
+  client.on('Network.loadingFailed', event => {
+    const entry = active.get(event.requestId);
+    if (!entry) return;
+    entry.failed = true;
+    entry.errorText = event.errorText;
+    entry.endTime = event.timestamp;
+  });
+
+  await client.send('Network.enable');
 
   return {
-    title,
-    titleLength: title ? title.length : 0,
-    metaDescription,
-    metaDescriptionLength: metaDescription ? metaDescription.length : 0,
-    h1Count,
-    h1Text,
-    imagesWithoutAlt,
-    canonical,
-    openGraph: {
-      title: ogTitle,
-      description: ogDescription,
-      image: ogImage
-    }
+    requests,
+    stop: () => client.detach().catch(() => {})
   };
 }
 
-function calculateSEOScore(seo, layout) {
-  let score = 100;
-  const issues = [];
+/**
+ * Splits CDP ResourceTiming into HAR phases (all in ms, -1 = not applicable).
+ */
+function computeTimings(entry) {
+  const total = entry.endTime ? (entry.endTime - entry.startTime) * 1000 : 0;
+  const t = entry.timing;
 
-  if (!seo.title) {
-    score -= 20;
-    issues.push("Missing page title");
-  } else if (seo.titleLength > 60) {
-    score -= 5;
-    issues.push("Title too long (>60 chars)");
+  if (!t) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: Math.max(total, 0) };
   }
 
-  if (!seo.metaDescription) {
-    score -= 15;
-    issues.push("Missing meta description");
-  } else if (seo.metaDescriptionLength > 160) {
-    score -= 5;
-    issues.push("Meta description too long (>160 chars)");
-  }
+  const phase = (start, end) => (start >= 0 && end >= 0 ? end - start : -1);
+  const firstActivity = [t.dnsStart, t.connectStart, t.sendStart].find(value => value >= 0);
+  const queued = (t.requestTime - entry.startTime) * 1000;
 
-  if (seo.h1Count === 0) {
-    score -= 20;
-    issues.push("No H1 heading found");
-  }
-  if (seo.h1Count > 1) {
-    score -= 10;
-    issues.push("Multiple H1 headings");
+  const timings = {
+    blocked: Math.max(queued + (firstActivity || 0), 0),
+    dns: phase(t.dnsStart, t.dnsEnd),
+    connect: phase(t.connectStart, t.connectEnd),
+    ssl: phase(t.sslStart, t.sslEnd),
+    send: Math.max(t.sendEnd - t.sendStart, 0),
+    wait: Math.max(t.receiveHeadersEnd - t.sendEnd, 0),
+    receive: 0
+  };
+
+  const headersDone = queued + t.receiveHeadersEnd;
+  timings.receive = Math.max(total - headersDone, 0);
+
+  Object.keys(timings).forEach(phase => {
+    timings[phase] = Math.round(timings[phase] * 1000) / 1000;
+  });
+
+  return timings;
+}
+
+function summarizeInitiator(initiator) {
+  if (!initiator) return null;
+  const urls = initiatorUrls(initiator);
+  return { type: initiator.type, url: urls[0] || null };
+}
+
+function buildNetworkInventory(requests, pageUrl) {
+  const siteDomain = getRegistrableDomain(new URL(pageUrl).hostname);
+  const origin = requests.length > 0 ? Math.min(...requests.map(r => r.startTime)) : 0;
+
+  const inventory = requests.map(entry => {
+    let domain = null;
+    try {
+      domain = new URL(entry.url).hostname;
+    } catch {
+      // data: and blob: URLs
+    }
+
+    return {
+      url: entry.url,
+      method: entry.method,
+      resourceType: entry.resourceType,
+      status: entry.status,
+      mimeType: entry.mimeType,
+      protocol: entry.protocol,
+      domain,
+      party: domain && getRegistrableDomain(domain) === siteDomain ? 'first' : 'third',
+      transferSize: entry.transferSize,
+      resourceSize: entry.resourceSize,
+      startTime: Math.round((entry.startTime - origin) * 1000),
+      duration: entry.endTime ? Math.round((entry.endTime - entry.startTime) * 1000) : null,
+      timings: computeTimings(entry),
+      initiator: summarizeInitiator(entry.initiator),
+      fromCache: entry.fromCache,
+      redirectURL: entry.redirectURL,
+      failed: entry.failed,
+      errorText: entry.errorText
+    };
+  });
+
+  const byType = {};
+  const byDomain = {};
+
+  inventory.forEach(request => {
+    const type = byType[request.resourceType] || { count: 0, transferSize: 0, resourceSize: 0 };
+    type.count++;
+    type.transferSize += request.transferSize;
+    type.resourceSize += request.resourceSize;
+    byType[request.resourceType] = type;
+
+    if (!request.domain) return;
+    const domain = byDomain[request.domain] || {
+      domain: request.domain,
+      party: request.party,
+      count: 0,
+      transferSize: 0
+    };
+    domain.count++;
+    domain.transferSize += request.transferSize;
+    byDomain[request.domain] = domain;
+  });
+
+  const finishTimes = inventory
+    .filter(request => request.duration !== null)
+    .map(request => request.startTime + request.duration);
+
+  return {
+    summary: {
+      requestCount: inventory.length,
+      failedCount: inventory.filter(request => request.failed).length,
+      transferSize: inventory.reduce((sum, request) => sum + request.transferSize, 0),
+      resourceSize: inventory.reduce((sum, request) => sum + request.resourceSize, 0),
+      thirdPartyCount: inventory.filter(request => request.party === 'third').length,
+      duration: finishTimes.length > 0 ? Math.max(...finishTimes) : 0,
+      byType,
+      byDomain: Object.values(byDomain).sort((a, b) => b.transferSize - a.transferSize)
+    },
+    requests: inventory
+  };
+}
+
+function toHarHeaders(headers) {
+  return Object.entries(headers || {}).flatMap(([name, value]) =>
+    // CDP joins repeated headers (e.g. Set-Cookie) with newlines
+    String(value).split('\n').map(line => ({ name, value: line }))
+  );
+}
+
+function toHarQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
   }
+}
 
-  if (seo.imagesWithoutAlt > 0) {
-    score -= Math.min(10, seo.imagesWithoutAlt * 2);
-    issues.push(`${seo.imagesWithoutAlt} images without alt text`);
+function buildHar(requests, pageInfo) {
+  const pageId = 'page_1';
+  const firstWallTime = requests.length > 0 ? requests[0].wallTime : Date.now() / 1000;
+
+  const entries = requests.map(entry => {
+    const timings = computeTimings(entry);
+    // HAR counts ssl inside connect, so it is left out of the total
+    const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+      .reduce((sum, phase) => sum + Math.max(timings[phase], 0), 0);
+    const contentType = entry.requestHeaders['Content-Type'] || entry.requestHeaders['content-type'];
+
+    return {
+      pageref: pageId,
+      startedDateTime: new Date(entry.wallTime * 1000).toISOString(),
+      time,
+      request: {
+        method: entry.method,
+        url: entry.url,
+        httpVersion: entry.protocol || '',
+        cookies: [],
+        headers: toHarHeaders(entry.requestHeaders),
+        queryString: toHarQueryString(entry.url),
+        ...(entry.postData ? { postData: { mimeType: contentType || '', text: entry.postData } } : {}),
+        headersSize: -1,
+        bodySize: entry.postData ? Buffer.byteLength(entry.postData) : 0
+      },
+      response: {
+        status: entry.status || 0,
+        statusText: entry.statusText || (entry.failed ? entry.errorText : ''),
+        httpVersion: entry.protocol || '',
+        cookies: [],
+        headers: toHarHeaders(entry.responseHeaders),
+        content: {
+          size: entry.resourceSize,
+          mimeType: entry.mimeType || 'x-unknown'
+        },
+        redirectURL: entry.redirectURL || '',
+        headersSize: -1,
+        bodySize: entry.transferSize || -1,
+        _transferSize: entry.transferSize
+      },
+      cache: {},
+      timings,
+      serverIPAddress: entry.remoteAddress || undefined,
+      _resourceType: entry.resourceType,
+      _initiator: summarizeInitiator(entry.initiator),
+      _error: entry.errorText || undefined
+    };
+  });
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'Site Scanner', version: SCANNER_VERSION },
+      pages: [{
+        startedDateTime: new Date(firstWallTime * 1000).toISOString(),
+        id: pageId,
+        title: pageInfo.title || pageInfo.url,
+        pageTimings: {
+          onContentLoad: pageInfo.domContentLoaded || -1,
+          onLoad: pageInfo.loadTime || -1
+        }
+      }],
+      entries
+    }
+  };
+}
+
+/* ===============================
+   Scan Artifacts
+================================ */
+// Defaults come from the environment; configureStorage() points them elsewhere
+const storage = {
+  artifactsDir: path.resolve(process.env.ARTIFACTS_DIR || path.join(__dirname, 'artifacts')),
+  scansDir: path.resolve(process.env.SCANS_DIR || path.join(__dirname, 'scans'))
+};
+
+function artifactPath(scanId, name) {
+  return path.join(storage.artifactsDir, scanId, name);
+}
+
+async function saveArtifact(scanId, name, data) {
+  const file = artifactPath(scanId, name);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, data);
+  return file;
+}
+
+function artifactUrl(scanId, name) {
+  return `/artifacts/${scanId}/${name}`;
+}
+
+const SCAN_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+const ARTIFACT_NAME_PATTERN = /^[\w-]+(\.[\w-]+)*$/;
+
+/* ===============================
+   Screenshots
+================================ */
+// Extra capture widths, e.g. SCREENSHOT_BREAKPOINTS=375,768,1280
+const SCREENSHOT_BREAKPOINTS = (process.env.SCREENSHOT_BREAKPOINTS || '375,768,1280')
+  .split(',')
+  .map(width => parseInt(width, 10))
+  .filter(width => width > 0);
+
+// Chromium cannot capture surfaces taller than this in one screenshot
+const MAX_FULL_PAGE_HEIGHT = 16384;
+
+const SCREENSHOT_OPTIONS = { type: 'jpeg', quality: 85 };
+
+async function documentHeight(page) {
+  return page.evaluate(() => Math.max(
+    document.documentElement.scrollHeight,
+    document.body ? document.body.scrollHeight : 0
+  ));
+}
+
+async function captureFullPage(page, width) {
+  const height = Math.min(await documentHeight(page), MAX_FULL_PAGE_HEIGHT);
+  const buffer = await page.screenshot({
+    ...SCREENSHOT_OPTIONS,
+    clip: { x: 0, y: 0, width, height },
+    captureBeyondViewport: true
+  });
+  return { buffer, height };
+}
+
+/**
+ * Captures the device viewport, the full page and (outside quick mode) a
+ * full-page capture at each breakpoint width. Every capture is written to
+ * the scan's artifact directory and returned as a reference.
+ */
+async function captureScreenshots(page, scanId, profile, quickMode) {
+  const { width, height } = profile.viewport;
+  const captures = [];
+
+  const store = async (name, label, kind, buffer, size) => {
+    await saveArtifact(scanId, name, buffer);
+    captures.push({ name, label, kind, width: size.width, height: size.height, url: artifactUrl(scanId, name) });
+  };
+
+  await store('viewport.jpg', `Viewport (${width}×${height})`, 'viewport', await page.screenshot(SCREENSHOT_OPTIONS), { width, height });
+
+  const fullPage = await captureFullPage(page, width);
+  await store('full-page.jpg', `Full page (${width}px)`, 'full-page', fullPage.buffer, { width, height: fullPage.height });
+
+  if (quickMode) return captures;
+
+  try {
+    for (const breakpoint of SCREENSHOT_BREAKPOINTS) {
+      if (breakpoint === width) continue;
+
+      await page.setViewport({ ...profile.viewport, width: breakpoint });
+      await delay(300);
+
+      const capture = await captureFullPage(page, breakpoint);
+      await store(`breakpoint-${breakpoint}.jpg`, `${breakpoint}px`, 'breakpoint', capture.buffer, {
+        width: breakpoint,
+        height: capture.height
+      });
+    }
+  } finally {
+    await page.setViewport(profile.viewport);
   }
 
-  if (!layout.hasHeader) {
-    score -= 5;
-    issues.push("No header element");
+  return captures;
+}
+
+/* ===============================
+   Visual Diff
+================================ */
+// pixelmatch colour sensitivity (0-1) and the changed-pixel percentage a
+// diff may reach before it is reported as failed
+const VISUAL_DIFF_THRESHOLD = parseFiniteNumber(process.env.VISUAL_DIFF_THRESHOLD, 0.1);
+const VISUAL_DIFF_MAX_CHANGE = parseFiniteNumber(process.env.VISUAL_DIFF_MAX_CHANGE, 1);
+
+// Unlike `parseFloat(value) || fallback`, a configured 0 is kept
+function parseFiniteNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+async function readScanManifest(scanId) {
+  try {
+    return JSON.parse(await fs.promises.readFile(artifactPath(scanId, 'manifest.json'), 'utf8'));
+  } catch (error) {
+    throw httpError(`No screenshots recorded for scan ${scanId}`, 404);
   }
-  if (!layout.hasFooter) {
-    score -= 5;
-    issues.push("No footer element");
+}
+
+// Grow an RGBA image to width x height, filling the new area with white
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) return image.data;
+
+  const data = Buffer.alloc(width * height * 4, 255);
+  for (let y = 0; y < image.height; y++) {
+    const row = image.data.subarray(y * image.width * 4, (y + 1) * image.width * 4);
+    data.set(row, y * width * 4);
   }
+  return data;
+}
 
-  if (!seo.canonical) {
-    score -= 5;
-    issues.push("No canonical URL");
+/**
+ * Pixel-diffs one capture of two scans of the same URL and device. The
+ * highlighted diff image is stored with the newer (target) scan.
+ */
+async function diffScreenshots(baseScanId, targetScanId, options = {}) {
+  const capture = options.capture || 'viewport.jpg';
+  const threshold = Number.isFinite(options.threshold) ? options.threshold : VISUAL_DIFF_THRESHOLD;
+  const maxChangedPercent = Number.isFinite(options.maxChangedPercent) ? options.maxChangedPercent : VISUAL_DIFF_MAX_CHANGE;
+
+  if (threshold < 0 || threshold > 1) {
+    throw httpError('threshold must be between 0 and 1', 400);
   }
 
-  if (!seo.openGraph.title && !seo.openGraph.description) {
-    score -= 10;
-    issues.push("Missing Open Graph tags");
+  const [base, target] = await Promise.all([readScanManifest(baseScanId), readScanManifest(targetScanId)]);
+
+  if (base.url !== target.url) {
+    throw httpError(`Scans are of different URLs (${base.url} vs ${target.url})`, 422);
+  }
+  if (base.device !== target.device) {
+    throw httpError(`Scans used different devices (${base.device} vs ${target.device})`, 422);
   }
 
+  const findCapture = manifest => manifest.screenshots.find(shot => shot.name === capture);
+  if (!findCapture(base) || !findCapture(target)) {
+    throw httpError(`Capture ${capture} is not available for both scans`, 404);
+  }
+
+  const [baseImage, targetImage] = await Promise.all([baseScanId, targetScanId].map(async scanId => {
+    const buffer = await fs.promises.readFile(artifactPath(scanId, capture));
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 });
+  }));
+
+  const width = Math.max(baseImage.width, targetImage.width);
+  const height = Math.max(baseImage.height, targetImage.height);
+  const diff = new PNG({ width, height });
+
+  const changedPixels = pixelmatch(
+    padImage(baseImage, width, height),
+    padImage(targetImage, width, height),
+    diff.data,
+    width,
+    height,
+    { threshold }
+  );
+
+  const totalPixels = width * height;
+  const changedPercent = Math.round((changedPixels / totalPixels) * 10000) / 100;
+  const diffName = `diff-${baseScanId}-${path.parse(capture).name}.png`;
+  await saveArtifact(targetScanId, diffName, PNG.sync.write(diff));
+
   return {
-    score: Math.max(score, 0),
-    issues
+    url: target.url,
+    device: target.device,
+    capture,
+    base: { scanId: baseScanId, analyzedAt: base.analyzedAt, imageUrl: artifactUrl(baseScanId, capture) },
+    target: { scanId: targetScanId, analyzedAt: target.analyzedAt, imageUrl: artifactUrl(targetScanId, capture) },
+    width,
+    height,
+    sizeChanged: baseImage.width !== targetImage.width || baseImage.height !== targetImage.height,
+    changedPixels,
+    totalPixels,
+    changedPercent,
+    threshold,
+    maxChangedPercent,
+    passed: changedPercent <= maxChangedPercent,
+    diffUrl: artifactUrl(targetScanId, diffName)
   };
 }
 
 /* ===============================
-   Performance Metrics
+   Tracker Detection
 ================================ */
-async function getPerformanceMetrics(page) {
-  const metrics = await page.evaluate(() => {
-    const perfData = performance.getEntriesByType('navigation')[0];
-    return {
-      loadTime: perfData ? Math.round(perfData.loadEventEnd - perfData.fetchStart) : 0,
-      domContentLoaded: perfData ? Math.round(perfData.domContentLoadedEventEnd - perfData.fetchStart) : 0,
-      responseTime: perfData ? Math.round(perfData.responseEnd - perfData.requestStart) : 0,
-      transferSize: perfData ? Math.round(perfData.transferSize / 1024) : 0
+const TRACKERS_FILE = process.env.TRACKERS_FILE || path.join(__dirname, 'data', 'trackers.json');
+
+function loadTrackerRules(file) {
+  try {
+    const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Object.entries(rules).map(([name, rule]) => ({
+      name,
+      category: rule.category,
+      domains: rule.domains.map(domain => domain.toLowerCase()),
+      paths: (rule.paths || []).map(pattern => new RegExp(pattern, 'i'))
+    }));
+  } catch (error) {
+    logger.error(`Could not load tracker list from ${file}:`, error.message);
+    return [];
+  }
+}
+
+const getTrackerRules = lazy(() => loadTrackerRules(TRACKERS_FILE));
+
+const GTM_SCRIPT_PATTERN = /googletagmanager\.com\/(gtm\.js|gtag\/js)/i;
+
+function matchTrackerRule(requestUrl) {
+  let parsed;
+  try {
+    parsed = new URL(requestUrl);
+  } catch {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+
+  // Path-specific rules first, so facebook.com/tr is not claimed by a broader entry
+  const candidates = getTrackerRules().filter(rule =>
+    rule.domains.some(domain => host === domain || host.endsWith('.' + domain))
+  );
+
+  return candidates.find(rule => rule.paths.length > 0 && rule.paths.some(p => p.test(parsed.pathname))) ||
+    candidates.find(rule => rule.paths.length === 0) ||
+    null;
+}
+
+function initiatorUrls(initiator) {
+  if (!initiator) return [];
+
+  const urls = [];
+  let stack = initiator.stack;
+  while (stack) {
+    stack.callFrames.forEach(frame => {
+      if (frame.url) urls.push(frame.url);
+    });
+    stack = stack.parent;
+  }
+  if (initiator.url) urls.push(initiator.url);
+
+  return urls;
+}
+
+/**
+ * Attributes every request to whoever pulled it in: Google Tag Manager,
+ * the site's own code, or another third-party script. Loaders are inherited
+ * down the chain, so a pixel loaded by a script GTM injected counts as GTM.
+ */
+function classifyLoaders(requests, pageUrl) {
+  const siteDomain = getRegistrableDomain(new URL(pageUrl).hostname);
+  const loaderByUrl = new Map();
+
+  return requests.map(request => {
+    const urls = initiatorUrls(request.initiator);
+    let loader = 'first-party';
+    let loaderUrl = null;
+
+    if (urls.some(url => GTM_SCRIPT_PATTERN.test(url) || loaderByUrl.get(url) === 'gtm')) {
+      loader = 'gtm';
+      loaderUrl = urls.find(url => GTM_SCRIPT_PATTERN.test(url)) || urls[0];
+    } else if (urls.length > 0) {
+      loaderUrl = urls[0];
+      try {
+        if (getRegistrableDomain(new URL(loaderUrl).hostname) !== siteDomain) {
+          loader = 'third-party';
+        }
+      } catch {
+        // Inline scripts and eval frames report non-URL sources
+      }
+    }
+
+    if (!loaderByUrl.has(request.url)) loaderByUrl.set(request.url, loader);
+
+    return { ...request, loader, loaderUrl };
+  });
+}
+
+function detectTrackers(requests, pageUrl) {
+  const trackers = new Map();
+
+  classifyLoaders(requests, pageUrl).forEach(request => {
+    const rule = matchTrackerRule(request.url);
+    if (!rule) return;
+
+    const tracker = trackers.get(rule.name) || {
+      name: rule.name,
+      category: rule.category,
+      requestCount: 0,
+      loaders: {},
+      requests: []
     };
+
+    tracker.requestCount++;
+    tracker.loaders[request.loader] = (tracker.loaders[request.loader] || 0) + 1;
+    if (tracker.requests.length < 20) {
+      tracker.requests.push({
+        url: request.url,
+        type: request.resourceType,
+        loader: request.loader,
+        loaderUrl: request.loaderUrl
+      });
+    }
+
+    trackers.set(rule.name, tracker);
   });
-  return metrics;
+
+  return [...trackers.values()]
+    .map(tracker => ({
+      ...tracker,
+      // The loader responsible for most of this tracker's requests
+      loader: Object.entries(tracker.loaders).sort((a, b) => b[1] - a[1])[0][0]
+    }))
+    .sort((a, b) => a.category.localeCompare(b.category) || b.requestCount - a.requestCount);
 }
 
 /* ===============================
-   Accessibility Check
+   Cookie Audit
 ================================ */
-function checkAccessibility($) {
+// Public suffixes with two labels that we see often enough to matter.
+// Anything else falls back to "last two labels".
+const MULTI_PART_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au',
+  'co.nz', 'co.jp', 'co.kr', 'co.in', 'co.za', 'com.br', 'com.mx',
+  'com.cn', 'com.tr', 'com.sg', 'com.hk', 'github.io', 'herokuapp.com',
+  'vercel.app', 'netlify.app', 'pages.dev', 'web.app', 'firebaseapp.com'
+]);
+
+function getRegistrableDomain(hostname) {
+  const host = hostname.replace(/^\./, '').toLowerCase();
+  if (/^[\d.]+$/.test(host) || host.includes(':')) return host;
+
+  const labels = host.split('.');
+  if (labels.length <= 2) return host;
+
+  const lastTwo = labels.slice(-2).join('.');
+  return MULTI_PART_SUFFIXES.has(lastTwo) ? labels.slice(-3).join('.') : lastTwo;
+}
+
+const SESSION_COOKIE_PATTERN = /(sess|sid$|^sid|auth|token|jwt|login|csrf|xsrf)/i;
+const LONG_COOKIE_LIFETIME_DAYS = 395; // ~13 months
+
+async function collectCookies(page) {
+  const client = await page.createCDPSession();
+
+  try {
+    // Scoped to the scan's own browser context, so this is exactly what the
+    // page and its subresources set during this scan
+    const { cookies } = await client.send('Network.getAllCookies');
+    return cookies;
+  } finally {
+    await client.detach().catch(() => {});
+  }
+}
+
+function auditCookies(rawCookies, pageUrl) {
+  const pageUrlParsed = new URL(pageUrl);
+  const siteDomain = getRegistrableDomain(pageUrlParsed.hostname);
+  const now = Date.now();
   const issues = [];
-  
-  if (!$('html').attr('lang')) issues.push('Missing lang attribute on <html>');
-  
-  const imgWithoutAlt = $('img:not([alt])').length;
-  if (imgWithoutAlt > 0) issues.push(`${imgWithoutAlt} images missing alt text`);
-  
-  if ($('a:not([href])').length > 0) issues.push('Links without href attribute');
-  
-  const headingOrder = [];
-  $('h1, h2, h3, h4, h5, h6').each((i, el) => {
-    headingOrder.push(parseInt(el.tagName[1]));
-  });
-  
-  let skippedHeading = false;
-  for (let i = 1; i < headingOrder.length; i++) {
-    if (headingOrder[i] - headingOrder[i-1] > 1) {
-      skippedHeading = true;
-      break;
+
+  const cookies = rawCookies.map(cookie => {
+    const party = getRegistrableDomain(cookie.domain) === siteDomain ? 'first' : 'third';
+    const session = cookie.session || cookie.expires <= 0;
+    const expiresInDays = session ? null : Math.round((cookie.expires * 1000 - now) / 86400000);
+
+    const entry = {
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path,
+      party,
+      session,
+      expires: session ? null : new Date(cookie.expires * 1000).toISOString(),
+      expiresInDays,
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      sameSite: cookie.sameSite || null,
+      partitioned: !!cookie.partitionKey,
+      size: cookie.size,
+      flags: []
+    };
+
+    const flag = (type, message) => {
+      entry.flags.push(message);
+      issues.push({ type, cookie: `${cookie.name} (${cookie.domain})`, message });
+    };
+
+    if (SESSION_COOKIE_PATTERN.test(cookie.name)) {
+      if (!cookie.secure) flag('warning', 'Session-like cookie without the Secure flag');
+      if (!cookie.httpOnly) flag('warning', 'Session-like cookie readable from JavaScript (no HttpOnly)');
     }
-  }
-  if (skippedHeading) issues.push('Skipped heading levels detected');
-  
-  return issues;
+
+    if (cookie.sameSite === 'None' && !cookie.secure) {
+      flag('warning', 'SameSite=None without Secure; modern browsers reject this cookie');
+    }
+
+    if (!cookie.secure && pageUrlParsed.protocol === 'https:' && party === 'first') {
+      flag('info', 'Set on an HTTPS site without the Secure flag');
+    }
+
+    if (party === 'third') {
+      flag('info', `Third-party cookie from ${cookie.domain}`);
+    }
+
+    if (expiresInDays !== null && expiresInDays > LONG_COOKIE_LIFETIME_DAYS) {
+      flag('info', `Expires in ${expiresInDays} days (more than 13 months)`);
+    }
+
+    return entry;
+  });
+
+  return {
+    total: cookies.length,
+    firstParty: cookies.filter(c => c.party === 'first').length,
+    thirdParty: cookies.filter(c => c.party === 'third').length,
+    cookies,
+    issues
+  };
 }
 
 /* ===============================
-   Security Check
+   Layout Detection
 ================================ */
-function checkSecurity($, html) {
-  const findings = [];
-  const lower = html.toLowerCase();
-  
-  if (!$('meta[http-equiv="Content-Security-Policy"]').length && 
-      !$('meta[http-equiv="content-security-policy"]').length) {
-    findings.push({ type: 'warning', message: 'No Content Security Policy detected' });
+function extractLayout($) {
+  const bodyTextLength = $("body").text().length;
+
+  const headerLike =
+    $("header").length > 0 ||
+    $('[class*="header"]').length > 0 ||
+    $('[id*="header"]').length > 0;
+
+  const navLike =
+    $("nav").length > 0 ||
+    $('[class*="nav"]').length > 0 ||
+    $('[id*="nav"]').length > 0;
+
+  const footerLike =
+    $("footer").length > 0 ||
+    $('[class*="footer"]').length > 0 ||
+    $('[id*="footer"]').length > 0;
+
+  const heroLike =
+    $('[class*="hero"]').length > 0 ||
+    $("h1").first().parent().text().length > 200;
+
+  const sectionLike =
+    $("section").length +
+    $('[class*="section"]').length;
+
+  const mainLike =
+    $("main").length > 0 ||
+    $('[class*="main"]').length > 0;
+
+  return {
+    hasHeader: headerLike,
+    hasNav: navLike,
+    hasFooter: footerLike,
+    hasHero: heroLike,
+    hasMain: mainLike,
+    sectionCount: sectionLike,
+    articleCount: $("article").length,
+    formCount: $("form").length,
+    buttonCount: $("button").length,
+    imageCount: $("img").length,
+    linkCount: $("a").length,
+    bodyTextLength
+  };
+}
+
+
+/* ===============================
+   Link Checker
+================================ */
+const LINK_CHECK_CONCURRENCY = parseInt(process.env.LINK_CHECK_CONCURRENCY, 10) || 8;
+const LINK_CHECK_TIMEOUT_MS = parseInt(process.env.LINK_CHECK_TIMEOUT_MS, 10) || 10000;
+const MAX_LINK_CHECKS = parseInt(process.env.MAX_LINK_CHECKS, 10) || 300;
+const MAX_LINK_REDIRECTS = 5;
+const MAX_LINK_OCCURRENCES = 5;
+
+const LINK_SOURCES = [
+  { selector: 'a[href]', attr: 'href', type: 'link' },
+  { selector: 'img[src]', attr: 'src', type: 'image' },
+  { selector: 'link[rel~="stylesheet"][href]', attr: 'href', type: 'stylesheet' },
+  { selector: 'script[src]', attr: 'src', type: 'script' }
+];
+
+const LANDMARK_SELECTOR = 'header, nav, main, footer, aside, article, section, form';
+
+// "footer > ul.links > li > a" style path, stopping at the nearest landmark
+function describeLocation($, el) {
+  const parts = [];
+  let node = $(el);
+
+  while (node.length && node[0].tagName && parts.length < 5) {
+    const tag = node[0].tagName.toLowerCase();
+    const id = node.attr('id');
+    const className = (node.attr('class') || '').trim().split(/\s+/)[0];
+    parts.unshift(id ? `${tag}#${id}` : className ? `${tag}.${className}` : tag);
+
+    if (id || node.is(LANDMARK_SELECTOR) || tag === 'body' || tag === 'head') break;
+    node = node.parent();
+  }
+
+  return parts.join(' > ');
+}
+
+function occurrenceText($, el, type) {
+  const $el = $(el);
+  if (type === 'image') return $el.attr('alt') || '';
+  if (type === 'link') {
+    const text = $el.text().replace(/\s+/g, ' ').trim();
+    return text || $el.attr('aria-label') || $el.attr('title') || $el.find('img').attr('alt') || '';
+  }
+  return '';
+}
+
+// Every distinct http(s) target on the page, with where it is referenced
+function collectLinkTargets($, pageUrl) {
+  const targets = new Map();
+
+  LINK_SOURCES.forEach(({ selector, attr, type }) => {
+    $(selector).each((_, el) => {
+      const raw = ($(el).attr(attr) || '').trim();
+      if (!raw || raw.startsWith('#')) return;
+
+      let url;
+      try {
+        url = new URL(raw, pageUrl);
+      } catch (error) {
+        return;
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+      url.hash = '';
+
+      const key = url.href;
+      if (!targets.has(key)) {
+        targets.set(key, { url: key, type, occurrences: [], occurrenceCount: 0 });
+      }
+
+      const target = targets.get(key);
+      target.occurrenceCount++;
+      if (target.occurrences.length < MAX_LINK_OCCURRENCES) {
+        target.occurrences.push({
+          text: occurrenceText($, el, type).slice(0, 120),
+          location: describeLocation($, el)
+        });
+      }
+    });
+  });
+
+  return [...targets.values()];
+}
+
+async function requestLink(url, method) {
+  return fetch(url, {
+    method,
+    redirect: 'manual',
+    headers: { 'User-Agent': DESKTOP_USER_AGENT },
+    signal: AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS)
+  });
+}
+
+/**
+ * Follows redirects by hand so the first status and the final target are
+ * both recorded. Falls back to GET for servers that refuse HEAD.
+ */
+async function checkLink(target) {
+  const result = { status: null, finalStatus: null, redirectTo: null, redirects: 0, error: null, timedOut: false };
+  let url = target.url;
+
+  try {
+    for (let hop = 0; hop <= MAX_LINK_REDIRECTS; hop++) {
+      let response = await requestLink(url, 'HEAD');
+      if ([403, 405, 501].includes(response.status)) {
+        response = await requestLink(url, 'GET');
+      }
+      if (response.body) await response.body.cancel();
+
+      if (result.status === null) result.status = response.status;
+      result.finalStatus = response.status;
+
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) break;
+
+      url = new URL(location, url).href;
+      result.redirectTo = url;
+      result.redirects++;
+    }
+
+    if (result.finalStatus >= 300 && result.finalStatus < 400 && result.redirects > MAX_LINK_REDIRECTS) {
+      result.error = `More than ${MAX_LINK_REDIRECTS} redirects`;
+    }
+  } catch (error) {
+    result.timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    result.error = result.timedOut
+      ? `Timed out after ${LINK_CHECK_TIMEOUT_MS}ms`
+      : (error.cause && error.cause.code) || error.message;
+  }
+
+  return result;
+}
+
+function linkCategory(result) {
+  if (result.timedOut) return 'timeout';
+  if (result.error) return 'error';
+  if (result.finalStatus >= 400) return 'broken';
+  if (result.redirects > 0) return 'redirected';
+  return 'ok';
+}
+
+/**
+ * Checks every link, image, stylesheet and script on the page with bounded
+ * concurrency. Only problem targets are returned in `items`.
+ */
+async function checkLinks($, pageUrl) {
+  const pageDomain = getRegistrableDomain(new URL(pageUrl).hostname);
+  const targets = collectLinkTargets($, pageUrl);
+  const checked = targets.slice(0, MAX_LINK_CHECKS);
+
+  const results = await mapWithConcurrency(checked, LINK_CHECK_CONCURRENCY, async target => {
+    const result = await checkLink(target);
+    return {
+      ...target,
+      internal: getRegistrableDomain(new URL(target.url).hostname) === pageDomain,
+      status: result.status,
+      finalStatus: result.finalStatus,
+      redirectTo: result.redirectTo,
+      error: result.error,
+      category: linkCategory(result)
+    };
+  });
+
+  const count = category => results.filter(result => result.category === category).length;
+
+  return {
+    summary: {
+      found: targets.length,
+      checked: checked.length,
+      ok: count('ok'),
+      broken: count('broken'),
+      redirected: count('redirected'),
+      timedOut: count('timeout'),
+      errors: count('error')
+    },
+    truncated: targets.length > checked.length,
+    items: results.filter(result => result.category !== 'ok')
+  };
+}
+
+/* ===============================
+   Redirect Analysis
+================================ */
+const MAX_REDIRECT_HOPS = 10;
+const LONG_REDIRECT_CHAIN = 3;
+const TEMPORARY_REDIRECT_STATUSES = [302, 303, 307];
+
+async function traceRedirects(startUrl) {
+  const hops = [];
+  const seen = new Set();
+  let url = startUrl;
+  let loop = false;
+  let error = null;
+
+  while (hops.length <= MAX_REDIRECT_HOPS) {
+    if (seen.has(url)) {
+      loop = true;
+      break;
+    }
+    seen.add(url);
+
+    const started = Date.now();
+    let response;
+    try {
+      response = await fetch(url, {
+        redirect: 'manual',
+        headers: { 'User-Agent': DESKTOP_USER_AGENT },
+        signal: AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS)
+      });
+      if (response.body) await response.body.cancel();
+    } catch (fetchError) {
+      error = (fetchError.cause && fetchError.cause.code) || fetchError.message;
+      break;
+    }
+
+    const location = response.headers.get('location');
+    const hop = { url, status: response.status, location: location || null, timeMs: Date.now() - started };
+    hops.push(hop);
+
+    if (response.status < 300 || response.status >= 400 || !location) break;
+
+    try {
+      url = new URL(location, url).href;
+    } catch (locationError) {
+      hop.error = 'Invalid Location header';
+      error = `invalid Location header "${location}"`;
+      break;
+    }
+  }
+
+  const last = hops[hops.length - 1];
+  return {
+    start: startUrl,
+    hops,
+    redirectCount: hops.filter(hop => hop.location && hop.status >= 300 && hop.status < 400).length,
+    finalUrl: last && !loop && !error ? last.url : null,
+    finalStatus: last && !loop && !error ? last.status : null,
+    totalTimeMs: hops.reduce((sum, hop) => sum + hop.timeMs, 0),
+    loop,
+    error
+  };
+}
+
+// http/https x www/apex starting points for the same path
+function urlVariants(targetUrl) {
+  const parsed = new URL(targetUrl);
+  const host = parsed.hostname;
+  const apex = getRegistrableDomain(host);
+  // IP addresses and single-label hosts like localhost have no www variant
+  const hasWwwVariant = !net.isIP(host.replace(/^\[|\]$/g, '')) && host.includes('.') &&
+    (host === apex || host === `www.${apex}`);
+  const hosts = hasWwwVariant ? [apex, `www.${apex}`] : [host];
+  const rest = parsed.pathname + parsed.search;
+
+  // An explicit port belongs to the scanned scheme; http is tried on its default port
+  const portFor = protocol => (parsed.port && protocol === parsed.protocol ? `:${parsed.port}` : '');
+
+  return ['http:', 'https:'].flatMap(protocol =>
+    hosts.map(variantHost => `${protocol}//${variantHost}${portFor(protocol)}${rest}`)
+  );
+}
+
+function isCanonicalizationHop(from, location) {
+  let b;
+  try {
+    b = new URL(location, from);
+  } catch (error) {
+    return false;
+  }
+
+  const a = new URL(from);
+  return a.pathname === b.pathname && a.search === b.search &&
+    (a.protocol !== b.protocol || a.hostname !== b.hostname);
+}
+
+/**
+ * Traces every scheme/host variant of the target and checks that they all
+ * land on one URL with permanent redirects, and that it matches
+ * the page's rel=canonical.
+ */
+async function analyzeRedirects(targetUrl, finalUrl, canonical) {
+  const variants = await Promise.all(urlVariants(targetUrl).map(traceRedirects));
+  const issues = [];
+
+  variants.forEach(variant => {
+    if (variant.loop) {
+      issues.push({ severity: 'error', message: `Redirect loop starting at ${variant.start}` });
+    } else if (variant.error) {
+      issues.push({ severity: 'warning', message: `${variant.start} could not be reached (${variant.error})` });
+    } else if (variant.finalStatus >= 400) {
+      issues.push({ severity: 'warning', message: `${variant.start} ends in HTTP ${variant.finalStatus}` });
+    }
+
+    if (variant.redirectCount >= LONG_REDIRECT_CHAIN) {
+      issues.push({ severity: 'warning', message: `${variant.start} takes ${variant.redirectCount} redirects to resolve` });
+    }
+
+    variant.hops
+      .filter(hop => TEMPORARY_REDIRECT_STATUSES.includes(hop.status) && hop.location &&
+        isCanonicalizationHop(hop.url, hop.location))
+      .forEach(hop => {
+        issues.push({ severity: 'warning', message: `${hop.url} uses a temporary ${hop.status} redirect where a 301 belongs` });
+      });
+
+    if (variant.start.startsWith('http:') && variant.finalUrl && variant.finalUrl.startsWith('http:')) {
+      issues.push({ severity: 'error', message: `${variant.start} is served over HTTP without redirecting to HTTPS` });
+    }
+  });
+
+  const destinations = [...new Set(variants.filter(v => v.finalUrl && v.finalStatus < 400).map(v => sitemapUrlKey(v.finalUrl)))];
+  if (destinations.length > 1) {
+    issues.push({ severity: 'error', message: `URL variants resolve to ${destinations.length} different URLs: ${destinations.join(', ')}` });
+  }
+
+  let canonicalUrl = null;
+  let canonicalMatches = null;
+  if (canonical) {
+    try {
+      canonicalUrl = new URL(canonical, finalUrl).href;
+      canonicalMatches = sitemapUrlKey(canonicalUrl) === sitemapUrlKey(finalUrl);
+      if (!canonicalMatches) {
+        issues.push({ severity: 'warning', message: `Final URL ${finalUrl} does not match rel=canonical ${canonicalUrl}` });
+      }
+    } catch (error) {
+      issues.push({ severity: 'warning', message: `rel=canonical "${canonical}" is not a valid URL` });
+    }
+  }
+
+  return {
+    finalUrl,
+    variants,
+    consistent: destinations.length <= 1,
+    canonical: { url: canonicalUrl, matchesFinalUrl: canonicalMatches },
+    issues
+  };
+}
+
+/* ===============================
+   SEO Analysis
+================================ */
+function analyzeSEO($) {
+  const title = $("title").text() || null;
+  const metaDescription =
+    $('meta[name="description"]').attr("content") || null;
+
+  const h1Count = $("h1").length;
+  const h1Text = $("h1").first().text() || null;
+  const imagesWithoutAlt = $("img:not([alt])").length;
+  
+  const canonical = $('link[rel="canonical"]').attr('href') || null;
+  const ogTitle = $('meta[property="og:title"]').attr('content') || null;
+  const ogDescription = $('meta[property="og:description"]').attr('content') || null;
+  const ogImage = $('meta[property="og:image"]').attr('content') || null;
+
+  return {
+    title,
+    titleLength: title ? title.length : 0,
+    metaDescription,
+    metaDescriptionLength: metaDescription ? metaDescription.length : 0,
+    h1Count,
+    h1Text,
+    imagesWithoutAlt,
+    canonical,
+    openGraph: {
+      title: ogTitle,
+      description: ogDescription,
+      image: ogImage
+    },
+    structuredData: extractStructuredData($)
+  };
+}
+
+function calculateSEOScore(seo, layout) {
+  let score = 100;
+  const issues = [];
+
+  if (!seo.title) {
+    score -= 20;
+    issues.push("Missing page title");
+  } else if (seo.titleLength > 60) {
+    score -= 5;
+    issues.push("Title too long (>60 chars)");
+  }
+
+  if (!seo.metaDescription) {
+    score -= 15;
+    issues.push("Missing meta description");
+  } else if (seo.metaDescriptionLength > 160) {
+    score -= 5;
+    issues.push("Meta description too long (>160 chars)");
+  }
+
+  if (seo.h1Count === 0) {
+    score -= 20;
+    issues.push("No H1 heading found");
+  }
+  if (seo.h1Count > 1) {
+    score -= 10;
+    issues.push("Multiple H1 headings");
+  }
+
+  if (seo.imagesWithoutAlt > 0) {
+    score -= Math.min(10, seo.imagesWithoutAlt * 2);
+    issues.push(`${seo.imagesWithoutAlt} images without alt text`);
+  }
+
+  if (!layout.hasHeader) {
+    score -= 5;
+    issues.push("No header element");
+  }
+  if (!layout.hasFooter) {
+    score -= 5;
+    issues.push("No footer element");
+  }
+
+  if (!seo.canonical) {
+    score -= 5;
+    issues.push("No canonical URL");
+  }
+
+  if (!seo.openGraph.title && !seo.openGraph.description) {
+    score -= 10;
+    issues.push("Missing Open Graph tags");
+  }
+
+  const structuredData = seo.structuredData;
+  if (structuredData) {
+    if (structuredData.items.length === 0 && structuredData.parseErrors.length === 0) {
+      score -= 5;
+      issues.push("No structured data (JSON-LD, microdata or RDFa)");
+    }
+
+    if (structuredData.parseErrors.length > 0) {
+      score -= Math.min(10, structuredData.parseErrors.length * 5);
+      issues.push(`${structuredData.parseErrors.length} JSON-LD block(s) could not be parsed`);
+    }
+
+    const invalidItems = structuredData.items.filter(item => item.errors.length > 0);
+    if (invalidItems.length > 0) {
+      score -= Math.min(10, invalidItems.length * 5);
+      invalidItems.forEach(item => {
+        issues.push(`${item.types.join(', ')} structured data: ${item.errors.join('; ')}`);
+      });
+    }
+  }
+
+  // Only single-page scans check robots.txt, sitemaps and redirects
+  [seo.crawlability, seo.redirects].filter(Boolean).forEach(report => {
+    let penalty = 0;
+    report.issues.forEach(issue => {
+      penalty += issue.severity === 'error' ? 10 : 5;
+      issues.push(issue.message);
+    });
+    score -= Math.min(20, penalty);
+  });
+
+  return {
+    score: Math.max(score, 0),
+    issues
+  };
+}
+
+/* ===============================
+   Structured Data
+================================ */
+// Required properties (an inner array means "at least one of") and
+// recommended properties for the schema.org types behind rich results
+const SCHEMA_TYPE_RULES = {
+  Organization: { required: ['name'], recommended: ['url', 'logo', 'sameAs', 'contactPoint'] },
+  LocalBusiness: { required: ['name', 'address'], recommended: ['telephone', 'openingHoursSpecification', 'geo', 'url', 'priceRange'] },
+  Person: { required: ['name'], recommended: ['url', 'image', 'sameAs', 'jobTitle'] },
+  WebSite: { required: ['name', 'url'], recommended: ['potentialAction'] },
+  Product: { required: ['name', ['offers', 'review', 'aggregateRating']], recommended: ['image', 'description', 'brand', 'sku', 'offers', 'aggregateRating', 'review'] },
+  Offer: { required: ['price', 'priceCurrency'], recommended: ['availability', 'url', 'priceValidUntil'] },
+  Article: { required: ['headline'], recommended: ['image', 'datePublished', 'dateModified', 'author', 'publisher'] },
+  NewsArticle: { required: ['headline'], recommended: ['image', 'datePublished', 'dateModified', 'author', 'publisher'] },
+  BlogPosting: { required: ['headline'], recommended: ['image', 'datePublished', 'dateModified', 'author', 'publisher'] },
+  BreadcrumbList: { required: ['itemListElement'], recommended: [] },
+  FAQPage: { required: ['mainEntity'], recommended: [] },
+  Event: { required: ['name', 'startDate', 'location'], recommended: ['endDate', 'image', 'description', 'offers', 'organizer', 'eventStatus'] },
+  Recipe: { required: ['name', 'image'], recommended: ['author', 'datePublished', 'description', 'recipeIngredient', 'recipeInstructions', 'totalTime', 'nutrition'] },
+  VideoObject: { required: ['name', 'thumbnailUrl', 'uploadDate'], recommended: ['description', 'duration', 'contentUrl', 'embedUrl'] }
+};
+
+// "https://schema.org/Product", "schema:Product" -> "Product"
+function shortTypeName(type) {
+  return String(type).replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '').trim();
+}
+
+function shortPropertyName(name) {
+  return name.replace(/^https?:\/\/schema\.org\//i, '').replace(/^[a-z]+:/i, '');
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// JSON-LD nodes keep their keys; normalize them to { types, properties }
+function jsonLdNodeToItem(node) {
+  const properties = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key.startsWith('@')) continue;
+    properties[shortPropertyName(key)] = value;
+  }
+  return {
+    format: 'json-ld',
+    types: toArray(node['@type']).map(shortTypeName),
+    properties
+  };
+}
+
+function extractJsonLd($) {
+  const items = [];
+  const parseErrors = [];
+
+  $('script[type="application/ld+json"]').each((index, el) => {
+    const text = $(el).contents().text().trim();
+    if (!text) return;
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      parseErrors.push({ format: 'json-ld', block: index + 1, message: error.message });
+      return;
+    }
+
+    for (const entry of toArray(data)) {
+      if (!entry || typeof entry !== 'object') continue;
+      const nodes = Array.isArray(entry['@graph']) ? entry['@graph'] : [entry];
+      nodes.filter(node => node && node['@type']).forEach(node => items.push(jsonLdNodeToItem(node)));
+    }
+  });
+
+  return { items, parseErrors };
+}
+
+function microdataValue($, el) {
+  const $el = $(el);
+  if ($el.is('[itemscope]')) return microdataItem($, el);
+
+  const tag = el.tagName ? el.tagName.toLowerCase() : '';
+  if (tag === 'meta') return $el.attr('content') || '';
+  if (['a', 'link', 'area'].includes(tag)) return $el.attr('href') || '';
+  if (['img', 'audio', 'video', 'source', 'iframe', 'embed'].includes(tag)) return $el.attr('src') || '';
+  if (tag === 'time') return $el.attr('datetime') || $el.text().trim();
+  if (['data', 'meter'].includes(tag)) return $el.attr('value') || '';
+  return $el.text().trim();
+}
+
+function microdataItem($, el) {
+  const properties = {};
+
+  // Properties belong to the nearest enclosing itemscope
+  $(el).find('[itemprop]').each((_, propEl) => {
+    const owner = $(propEl).parent().closest('[itemscope]')[0];
+    if (owner !== el) return;
+
+    const value = microdataValue($, propEl);
+    for (const name of ($(propEl).attr('itemprop') || '').split(/\s+/).filter(Boolean)) {
+      const key = shortPropertyName(name);
+      properties[key] = key in properties ? toArray(properties[key]).concat([value]) : value;
+    }
+  });
+
+  return {
+    format: 'microdata',
+    types: ($(el).attr('itemtype') || '').split(/\s+/).filter(Boolean).map(shortTypeName),
+    properties
+  };
+}
+
+function extractMicrodata($) {
+  return $('[itemscope]:not([itemprop])').toArray().map(el => microdataItem($, el));
+}
+
+function rdfaValue($, el) {
+  const $el = $(el);
+  if ($el.is('[typeof]')) return rdfaItem($, el);
+
+  return $el.attr('content') ||
+    $el.attr('resource') ||
+    $el.attr('href') ||
+    $el.attr('src') ||
+    $el.attr('datetime') ||
+    $el.text().trim();
+}
+
+function rdfaItem($, el) {
+  const properties = {};
+
+  $(el).find('[property]').each((_, propEl) => {
+    const owner = $(propEl).parent().closest('[typeof]')[0];
+    if (owner !== el) return;
+
+    const value = rdfaValue($, propEl);
+    for (const name of ($(propEl).attr('property') || '').split(/\s+/).filter(Boolean)) {
+      const key = shortPropertyName(name);
+      properties[key] = key in properties ? toArray(properties[key]).concat([value]) : value;
+    }
+  });
+
+  return {
+    format: 'rdfa',
+    types: ($(el).attr('typeof') || '').split(/\s+/).filter(Boolean).map(shortTypeName),
+    properties
+  };
+}
+
+function extractRdfa($) {
+  return $('[typeof]').toArray()
+    .filter(el => !$(el).is('[property]') && $(el).parent().closest('[typeof]').length === 0)
+    .map(el => rdfaItem($, el));
+}
+
+function hasProperty(properties, name) {
+  const value = properties[name];
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim().length > 0;
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+// Nested values come back as raw JSON-LD objects or as extracted items
+function nestedProperties(value) {
+  if (!value || typeof value !== 'object') return {};
+  return value.properties || value;
+}
+
+function validateNestedEntries(type, properties) {
+  const errors = [];
+
+  if (type === 'BreadcrumbList') {
+    toArray(properties.itemListElement).forEach((entry, index) => {
+      const crumb = nestedProperties(entry);
+      const item = nestedProperties(crumb.item);
+      if (!hasProperty(crumb, 'position')) errors.push(`breadcrumb ${index + 1} has no position`);
+      if (!hasProperty(crumb, 'name') && !hasProperty(item, 'name')) errors.push(`breadcrumb ${index + 1} has no name`);
+    });
+  }
+
+  if (type === 'FAQPage') {
+    toArray(properties.mainEntity).forEach((entry, index) => {
+      const question = nestedProperties(entry);
+      const answer = nestedProperties(toArray(question.acceptedAnswer)[0]);
+      if (!hasProperty(question, 'name')) errors.push(`question ${index + 1} has no name`);
+      if (!hasProperty(answer, 'text')) errors.push(`question ${index + 1} has no acceptedAnswer text`);
+    });
+  }
+
+  return errors;
+}
+
+function validateStructuredItem(item) {
+  const errors = [];
+  const warnings = [];
+
+  for (const type of item.types) {
+    const rules = SCHEMA_TYPE_RULES[type];
+    if (!rules) continue;
+
+    for (const requirement of rules.required) {
+      const options = toArray(requirement);
+      if (!options.some(name => hasProperty(item.properties, name))) {
+        errors.push(options.length > 1
+          ? `missing one of ${options.join(', ')}`
+          : `missing required property ${options[0]}`);
+      }
+    }
+
+    const missingRecommended = rules.recommended.filter(name => !hasProperty(item.properties, name));
+    if (missingRecommended.length > 0) {
+      warnings.push(`missing recommended ${missingRecommended.join(', ')}`);
+    }
+
+    errors.push(...validateNestedEntries(type, item.properties));
+  }
+
+  if (item.types.length === 0) {
+    errors.push('no type declared');
+  }
+
+  return {
+    format: item.format,
+    types: item.types,
+    properties: Object.keys(item.properties),
+    validated: item.types.some(type => SCHEMA_TYPE_RULES[type]),
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Extracts JSON-LD, microdata and RDFa items and checks the common
+ * schema.org types for required and recommended properties.
+ */
+function extractStructuredData($) {
+  const jsonLd = extractJsonLd($);
+  const items = [...jsonLd.items, ...extractMicrodata($), ...extractRdfa($)].map(validateStructuredItem);
+
+  return {
+    items,
+    parseErrors: jsonLd.parseErrors,
+    summary: {
+      total: items.length,
+      byFormat: {
+        'json-ld': items.filter(item => item.format === 'json-ld').length,
+        microdata: items.filter(item => item.format === 'microdata').length,
+        rdfa: items.filter(item => item.format === 'rdfa').length
+      },
+      types: [...new Set(items.flatMap(item => item.types))],
+      withErrors: items.filter(item => item.errors.length > 0).length
+    }
+  };
+}
+
+/* ===============================
+   Performance Metrics
+================================ */
+async function getPerformanceMetrics(page) {
+  const metrics = await page.evaluate(() => {
+    const perfData = performance.getEntriesByType('navigation')[0];
+    return {
+      loadTime: perfData ? Math.round(perfData.loadEventEnd - perfData.fetchStart) : 0,
+      domContentLoaded: perfData ? Math.round(perfData.domContentLoadedEventEnd - perfData.fetchStart) : 0,
+      responseTime: perfData ? Math.round(perfData.responseEnd - perfData.requestStart) : 0,
+      transferSize: perfData ? Math.round(perfData.transferSize / 1024) : 0
+    };
+  });
+  return metrics;
+}
+
+/* ===============================
+   Accessibility Check
+================================ */
+function checkAccessibility($) {
+  const issues = [];
+  
+  if (!$('html').attr('lang')) issues.push('Missing lang attribute on <html>');
+  
+  const imgWithoutAlt = $('img:not([alt])').length;
+  if (imgWithoutAlt > 0) issues.push(`${imgWithoutAlt} images missing alt text`);
+  
+  if ($('a:not([href])').length > 0) issues.push('Links without href attribute');
+  
+  const headingOrder = [];
+  $('h1, h2, h3, h4, h5, h6').each((i, el) => {
+    headingOrder.push(parseInt(el.tagName[1]));
+  });
+  
+  let skippedHeading = false;
+  for (let i = 1; i < headingOrder.length; i++) {
+    if (headingOrder[i] - headingOrder[i-1] > 1) {
+      skippedHeading = true;
+      break;
+    }
+  }
+  if (skippedHeading) issues.push('Skipped heading levels detected');
+  
+  return issues;
+}
+
+/* ===============================
+   Accessibility Audit (axe-core)
+================================ */
+const AXE_RUN_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa', 'best-practice'];
+const AXE_IMPACT_PENALTY = { critical: 15, serious: 10, moderate: 5, minor: 2 };
+const AXE_IMPACTS = Object.keys(AXE_IMPACT_PENALTY);
+const MAX_AXE_NODES = 20;
+
+// "wcag143" -> "1.4.3"; "wcag21aa" -> level "AA"
+function wcagCriteria(tags) {
+  return tags
+    .map(tag => tag.match(/^wcag(\d)(\d)(\d+)$/))
+    .filter(Boolean)
+    .map(([, principle, guideline, criterion]) => `${principle}.${guideline}.${criterion}`);
+}
+
+function wcagLevel(tags) {
+  const level = tags
+    .map(tag => tag.match(/^wcag2\d?(a{1,3})$/))
+    .filter(Boolean)
+    .map(match => match[1].toUpperCase())
+    .sort((a, b) => a.length - b.length)[0];
+  return level || null;
+}
+
+function summarizeViolation(violation) {
+  return {
+    id: violation.id,
+    impact: violation.impact || 'minor',
+    help: violation.help,
+    description: violation.description,
+    helpUrl: violation.helpUrl,
+    wcag: wcagCriteria(violation.tags),
+    level: wcagLevel(violation.tags),
+    bestPractice: violation.tags.includes('best-practice'),
+    nodeCount: violation.nodes.length,
+    nodes: violation.nodes.slice(0, MAX_AXE_NODES).map(node => ({
+      selector: node.target.map(target => Array.isArray(target) ? target.join(' >>> ') : target).join(' '),
+      html: node.html.slice(0, 300),
+      failureSummary: node.failureSummary || null
+    }))
+  };
+}
+
+/**
+ * Runs axe-core inside the page. The score starts at 100 and loses a fixed
+ * amount per violated rule according to its impact.
+ */
+async function runAxe(page) {
+  try {
+    await page.evaluate(axe.source);
+    const results = await page.evaluate(tags => window.axe.run(document, {
+      runOnly: { type: 'tag', values: tags },
+      resultTypes: ['violations']
+    }), AXE_RUN_TAGS);
+
+    const violations = results.violations
+      .map(summarizeViolation)
+      .sort((a, b) => AXE_IMPACTS.indexOf(a.impact) - AXE_IMPACTS.indexOf(b.impact));
+    const penalty = violations.reduce((sum, violation) => sum + AXE_IMPACT_PENALTY[violation.impact], 0);
+
+    return {
+      engine: 'axe-core',
+      version: results.testEngine.version,
+      score: Math.max(0, 100 - penalty),
+      summary: Object.fromEntries(AXE_IMPACTS.map(impact => [
+        impact,
+        violations.filter(violation => violation.impact === impact).length
+      ])),
+      violations,
+      passes: results.passes.length,
+      incomplete: results.incomplete.length
+    };
+  } catch (error) {
+    logger.error('❌ axe-core run failed:', error.message);
+    return {
+      engine: 'axe-core',
+      error: error.message,
+      score: null,
+      summary: Object.fromEntries(AXE_IMPACTS.map(impact => [impact, 0])),
+      violations: [],
+      passes: 0,
+      incomplete: 0
+    };
+  }
+}
+
+/* ===============================
+   Security Check
+================================ */
+function checkSecurity($, html, headers = {}) {
+  const findings = [];
+  const lower = html.toLowerCase();
+  
+  if (!headers['content-security-policy'] &&
+      !$('meta[http-equiv="Content-Security-Policy"]').length && 
+      !$('meta[http-equiv="content-security-policy"]').length) {
+    findings.push({ type: 'warning', message: 'No Content Security Policy detected' });
+  }
+  
+  const httpResources = (html.match(/http:\/\//g) || []).length;
+  if (httpResources > 0) {
+    findings.push({ type: 'warning', message: `${httpResources} HTTP resources (should use HTTPS)` });
+  }
+  
+  const externalScripts = $('script[src]').filter((i, el) => {
+    const src = $(el).attr('src');
+    return src && (src.startsWith('http://') || src.startsWith('https://'));
+  }).length;
+  
+  if (externalScripts > 0) {
+    findings.push({ type: 'info', message: `${externalScripts} external scripts loaded` });
+  }
+
+  const inlineScripts = $('script:not([src])').length;
+  if (inlineScripts > 5) {
+    findings.push({ type: 'info', message: `${inlineScripts} inline scripts` });
+  }
+  
+  return findings;
+}
+
+/* ===============================
+   Security Headers Audit
+================================ */
+const SECURITY_HEADER_WEIGHTS = {
+  csp: 25,
+  hsts: 20,
+  framing: 15,
+  contentType: 10,
+  referrer: 10,
+  permissions: 10,
+  coop: 5,
+  coep: 5
+};
+
+const HSTS_MIN_MAX_AGE = 15552000; // 180 days
+
+function parseCSP(policy) {
+  const directives = {};
+
+  policy.split(';').forEach(part => {
+    const tokens = part.trim().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return;
+
+    const name = tokens[0].toLowerCase();
+    // Per spec, only the first occurrence of a directive counts
+    if (!(name in directives)) directives[name] = tokens.slice(1);
+  });
+
+  return directives;
+}
+
+function gradeCSP(headers, $) {
+  const header = headers['content-security-policy'];
+  const reportOnly = headers['content-security-policy-report-only'];
+  const meta = $('meta[http-equiv="Content-Security-Policy"], meta[http-equiv="content-security-policy"]')
+    .attr('content');
+
+  const policy = header || meta;
+
+  if (!policy) {
+    return {
+      status: reportOnly ? 'warn' : 'fail',
+      value: reportOnly || null,
+      message: reportOnly
+        ? 'Only a report-only CSP is set; violations are reported but not blocked.'
+        : 'No Content-Security-Policy. Any injected script can run, which leaves XSS unmitigated.'
+    };
+  }
+
+  const directives = parseCSP(policy);
+  const scriptSources = directives['script-src'] || directives['default-src'];
+  const problems = [];
+
+  if (!scriptSources) {
+    problems.push('no script-src or default-src, so scripts are unrestricted');
+  } else {
+    const hasNonceOrHash = scriptSources.some(src => /^'(nonce|sha256|sha384|sha512)-/.test(src));
+    if (scriptSources.includes("'unsafe-inline'") && !hasNonceOrHash) {
+      problems.push("script sources allow 'unsafe-inline'");
+    }
+    if (scriptSources.includes("'unsafe-eval'")) {
+      problems.push("script sources allow 'unsafe-eval'");
+    }
+    if (scriptSources.some(src => src === '*' || src === 'http:' || src === 'https:')) {
+      problems.push('script sources include a wildcard scheme or host');
+    }
+  }
+
+  const objectSources = directives['object-src'] || directives['default-src'];
+  if (!objectSources || !objectSources.includes("'none'")) {
+    problems.push("object-src is not 'none'");
+  }
+
+  if (!header) {
+    problems.push('policy is set via <meta>, which cannot enforce frame-ancestors or reporting');
+  }
+
+  return {
+    status: problems.length > 0 ? 'warn' : 'pass',
+    value: policy,
+    directives,
+    message: problems.length > 0
+      ? `CSP present but weak: ${problems.join('; ')}.`
+      : 'CSP restricts script sources without unsafe keywords.'
+  };
+}
+
+function gradeHSTS(headers, targetUrl) {
+  const value = headers['strict-transport-security'];
+
+  if (new URL(targetUrl).protocol !== 'https:') {
+    return { status: 'fail', value: value || null, message: 'Page is not served over HTTPS, so HSTS cannot apply.' };
+  }
+
+  if (!value) {
+    return { status: 'fail', value: null, message: 'No HSTS header. Browsers may be downgraded to HTTP on first visit.' };
+  }
+
+  const maxAgeMatch = value.match(/max-age\s*=\s*"?(\d+)"?/i);
+  const maxAge = maxAgeMatch ? parseInt(maxAgeMatch[1], 10) : 0;
+  const includeSubDomains = /includesubdomains/i.test(value);
+  const preload = /preload/i.test(value);
+
+  if (maxAge === 0) {
+    return { status: 'fail', value, message: 'HSTS max-age is 0, which disables the policy.' };
+  }
+
+  if (maxAge < HSTS_MIN_MAX_AGE) {
+    return {
+      status: 'warn',
+      value,
+      message: `HSTS max-age is ${Math.round(maxAge / 86400)} days; at least 180 days is recommended.`
+    };
+  }
+
+  return {
+    status: 'pass',
+    value,
+    message: `HSTS enforced for ${Math.round(maxAge / 86400)} days` +
+      `${includeSubDomains ? ', including subdomains' : ''}${preload ? ', preload-ready' : ''}.`
+  };
+}
+
+function gradeFraming(headers, cspDirectives) {
+  const value = headers['x-frame-options'];
+  const frameAncestors = cspDirectives && cspDirectives['frame-ancestors'];
+
+  if (frameAncestors) {
+    const wildcard = frameAncestors.includes('*');
+    return {
+      status: wildcard ? 'warn' : 'pass',
+      value: `frame-ancestors ${frameAncestors.join(' ')}`,
+      message: wildcard
+        ? 'CSP frame-ancestors allows any origin to frame the page.'
+        : 'CSP frame-ancestors restricts who can frame the page.'
+    };
+  }
+
+  if (!value) {
+    return { status: 'fail', value: null, message: 'Neither X-Frame-Options nor CSP frame-ancestors is set; the page can be framed for clickjacking.' };
+  }
+
+  const normalized = value.trim().toUpperCase();
+  if (normalized === 'DENY' || normalized === 'SAMEORIGIN') {
+    return { status: 'pass', value, message: `X-Frame-Options ${normalized} blocks cross-origin framing.` };
+  }
+
+  return {
+    status: 'warn',
+    value,
+    message: 'X-Frame-Options value is deprecated or invalid (ALLOW-FROM is ignored by modern browsers). Use CSP frame-ancestors.'
+  };
+}
+
+function gradeContentTypeOptions(headers) {
+  const value = headers['x-content-type-options'];
+
+  if (value && value.trim().toLowerCase() === 'nosniff') {
+    return { status: 'pass', value, message: 'MIME sniffing is disabled.' };
+  }
+
+  return {
+    status: 'fail',
+    value: value || null,
+    message: 'X-Content-Type-Options: nosniff is missing; browsers may MIME-sniff responses into executable content.'
+  };
+}
+
+function gradeReferrerPolicy(headers) {
+  const value = headers['referrer-policy'];
+
+  if (!value) {
+    return {
+      status: 'warn',
+      value: null,
+      message: 'No Referrer-Policy; browsers fall back to their default, which varies by vendor.'
+    };
+  }
+
+  // The last recognised token in a comma-separated list wins
+  const policy = value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean).pop();
+
+  if (policy === 'unsafe-url' || policy === 'no-referrer-when-downgrade') {
+    return { status: 'warn', value, message: `Referrer-Policy "${policy}" leaks full URLs to third parties.` };
+  }
+
+  return { status: 'pass', value, message: `Referrer-Policy "${policy}" limits what is sent cross-origin.` };
+}
+
+function gradePermissionsPolicy(headers) {
+  const value = headers['permissions-policy'];
+
+  if (value) {
+    const features = value.split(',').filter(part => part.includes('=')).length;
+    return { status: 'pass', value, message: `Permissions-Policy restricts ${features} browser features.` };
+  }
+
+  if (headers['feature-policy']) {
+    return {
+      status: 'warn',
+      value: headers['feature-policy'],
+      message: 'Only the deprecated Feature-Policy header is set; migrate to Permissions-Policy.'
+    };
+  }
+
+  return {
+    status: 'warn',
+    value: null,
+    message: 'No Permissions-Policy; embedded content can request camera, geolocation and other powerful features.'
+  };
+}
+
+function gradeCOOP(headers) {
+  const value = headers['cross-origin-opener-policy'];
+  const policy = value ? value.split(';')[0].trim().toLowerCase() : null;
+
+  if (policy === 'same-origin' || policy === 'same-origin-allow-popups') {
+    return { status: 'pass', value, message: `COOP "${policy}" isolates the browsing context from cross-origin openers.` };
+  }
+
+  return {
+    status: 'warn',
+    value: value || null,
+    message: 'No restrictive Cross-Origin-Opener-Policy; cross-origin windows keep a reference to this page.'
+  };
+}
+
+function gradeCOEP(headers) {
+  const value = headers['cross-origin-embedder-policy'];
+  const policy = value ? value.split(';')[0].trim().toLowerCase() : null;
+
+  if (policy === 'require-corp' || policy === 'credentialless') {
+    return { status: 'pass', value, message: `COEP "${policy}" is set; with COOP this enables cross-origin isolation.` };
+  }
+
+  return {
+    status: 'warn',
+    value: value || null,
+    message: 'No Cross-Origin-Embedder-Policy; the page is not cross-origin isolated.'
+  };
+}
+
+function auditSecurityHeaders(headers, targetUrl, $) {
+  const csp = gradeCSP(headers, $);
+
+  const results = [
+    { id: 'csp', name: 'Content-Security-Policy', ...csp },
+    { id: 'hsts', name: 'Strict-Transport-Security', ...gradeHSTS(headers, targetUrl) },
+    { id: 'framing', name: 'X-Frame-Options / frame-ancestors', ...gradeFraming(headers, csp.directives) },
+    { id: 'contentType', name: 'X-Content-Type-Options', ...gradeContentTypeOptions(headers) },
+    { id: 'referrer', name: 'Referrer-Policy', ...gradeReferrerPolicy(headers) },
+    { id: 'permissions', name: 'Permissions-Policy', ...gradePermissionsPolicy(headers) },
+    { id: 'coop', name: 'Cross-Origin-Opener-Policy', ...gradeCOOP(headers) },
+    { id: 'coep', name: 'Cross-Origin-Embedder-Policy', ...gradeCOEP(headers) }
+  ];
+
+  const earned = results.reduce((sum, result) => {
+    const weight = SECURITY_HEADER_WEIGHTS[result.id];
+    if (result.status === 'pass') return sum + weight;
+    if (result.status === 'warn') return sum + weight / 2;
+    return sum;
+  }, 0);
+
+  return {
+    score: Math.round(earned),
+    headers: results
+  };
+}
+
+/* ===============================
+   TLS Inspection
+================================ */
+const TLS_TIMEOUT_MS = 10000;
+const CERT_EXPIRY_WARNING_DAYS = 30;
+const CERT_EXPIRY_CRITICAL_DAYS = 14;
+const LEGACY_TLS_VERSIONS = ['TLSv1', 'TLSv1.1'];
+const WEAK_CIPHER_PATTERN = /(RC4|DES|NULL|EXPORT|anon|MD5)/i;
+const MIN_KEY_SIZE = { rsa: 2048, dsa: 2048, ec: 256 };
+
+// Resolves with the connected socket; the caller must destroy it
+function connectTls(host, port, options = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host,
+      port,
+      servername: net.isIP(host) ? undefined : host,
+      rejectUnauthorized: false,
+      ...options
+    });
+
+    socket.setTimeout(TLS_TIMEOUT_MS, () => {
+      socket.destroy();
+      reject(new Error(`TLS handshake timed out after ${TLS_TIMEOUT_MS}ms`));
+    });
+    socket.once('secureConnect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+// true / false, or null when the local OpenSSL build cannot offer the version
+async function acceptsTlsVersion(host, port, version) {
+  try {
+    const socket = await connectTls(host, port, {
+      minVersion: version,
+      maxVersion: version,
+      // Legacy protocols need the old cipher suites re-enabled on our side
+      ciphers: 'DEFAULT@SECLEVEL=0'
+    });
+    socket.destroy();
+    return true;
+  } catch (error) {
+    if (error.code === 'ERR_SSL_NO_PROTOCOLS_AVAILABLE') {
+      return null;
+    }
+    return false;
+  }
+}
+
+function describeCertificate(cert) {
+  return {
+    subject: cert.subject ? cert.subject.CN || cert.subject.O || null : null,
+    issuer: cert.issuer ? cert.issuer.CN || cert.issuer.O || null : null,
+    validFrom: new Date(cert.valid_from).toISOString(),
+    validTo: new Date(cert.valid_to).toISOString()
+  };
+}
+
+function certificateChain(leaf) {
+  const chain = [];
+  const seen = new Set();
+  let cert = leaf;
+
+  while (cert && cert.fingerprint256 && !seen.has(cert.fingerprint256)) {
+    seen.add(cert.fingerprint256);
+    chain.push(describeCertificate(cert));
+    cert = cert.issuerCertificate;
+  }
+
+  return chain;
+}
+
+/**
+ * Connects to the target's TLS endpoint and reports the certificate, the
+ * negotiated protocol and cipher, and whether TLS 1.0/1.1 are still
+ * accepted. Problems are returned as security findings.
+ */
+async function inspectTls(targetUrl) {
+  const parsed = new URL(targetUrl);
+  if (parsed.protocol !== 'https:') return null;
+
+  const host = parsed.hostname;
+  const port = parseInt(parsed.port, 10) || 443;
+  const findings = [];
+
+  let socket;
+  try {
+    socket = await connectTls(host, port);
+  } catch (error) {
+    return {
+      host,
+      port,
+      error: error.message,
+      findings: [{ type: 'warning', message: `TLS connection failed: ${error.message}` }]
+    };
+  }
+
+  let report;
+  try {
+    const peer = socket.getPeerCertificate(true);
+    // An empty object means the server sent no certificate
+    if (!peer || !peer.raw) {
+      throw new Error('Server did not present a certificate');
+    }
+
+    const x509 = new crypto.X509Certificate(peer.raw);
+    const keyType = x509.publicKey.asymmetricKeyType;
+    const keyDetails = x509.publicKey.asymmetricKeyDetails || {};
+    const keySize = keyDetails.modulusLength || peer.bits || null;
+    const daysUntilExpiry = Math.floor((new Date(peer.valid_to) - Date.now()) / 86400000);
+    const cipher = socket.getCipher();
+
+    report = {
+      host,
+      port,
+      protocol: socket.getProtocol(),
+      cipher: { name: cipher.name, standardName: cipher.standardName, version: cipher.version },
+      authorized: socket.authorized,
+      authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+      certificate: {
+        ...describeCertificate(peer),
+        subjectAltNames: (peer.subjectaltname || '')
+          .split(',')
+          .map(name => name.trim().replace(/^DNS:/, ''))
+          .filter(Boolean),
+        coversHostname: !!(net.isIP(host) ? x509.checkIP(host) : x509.checkHost(host)),
+        daysUntilExpiry,
+        keyType,
+        keySize,
+        curve: keyDetails.namedCurve || null,
+        serialNumber: peer.serialNumber,
+        fingerprint256: peer.fingerprint256
+      },
+      chain: certificateChain(peer)
+    };
+  } catch (error) {
+    return {
+      host,
+      port,
+      error: error.message,
+      findings: [{ type: 'warning', message: `TLS certificate could not be read: ${error.message}` }]
+    };
+  } finally {
+    socket.destroy();
+  }
+
+  const legacy = await Promise.all(LEGACY_TLS_VERSIONS.map(version => acceptsTlsVersion(host, port, version)));
+  report.legacyProtocols = Object.fromEntries(LEGACY_TLS_VERSIONS.map((version, index) => [version, legacy[index]]));
+
+  const { certificate } = report;
+
+  if (certificate.daysUntilExpiry < 0) {
+    findings.push({ type: 'warning', message: `TLS certificate expired ${-certificate.daysUntilExpiry} days ago` });
+  } else if (certificate.daysUntilExpiry <= CERT_EXPIRY_CRITICAL_DAYS) {
+    findings.push({ type: 'warning', message: `TLS certificate expires in ${certificate.daysUntilExpiry} days` });
+  } else if (certificate.daysUntilExpiry <= CERT_EXPIRY_WARNING_DAYS) {
+    findings.push({ type: 'info', message: `TLS certificate expires in ${certificate.daysUntilExpiry} days` });
+  }
+
+  if (!certificate.coversHostname) {
+    findings.push({ type: 'warning', message: `TLS certificate does not cover ${host}` });
+  }
+  if (!report.authorized && report.authorizationError) {
+    findings.push({ type: 'warning', message: `TLS certificate is not trusted (${report.authorizationError})` });
+  }
+
+  const minKeySize = MIN_KEY_SIZE[certificate.keyType];
+  if (minKeySize && certificate.keySize && certificate.keySize < minKeySize) {
+    findings.push({ type: 'warning', message: `Weak ${certificate.keyType.toUpperCase()} key (${certificate.keySize} bits)` });
+  }
+
+  if (LEGACY_TLS_VERSIONS.includes(report.protocol)) {
+    findings.push({ type: 'warning', message: `Server negotiated legacy protocol ${report.protocol}` });
+  }
+  LEGACY_TLS_VERSIONS
+    .filter(version => report.legacyProtocols[version])
+    .forEach(version => findings.push({ type: 'warning', message: `Server still accepts ${version}` }));
+
+  if (WEAK_CIPHER_PATTERN.test(report.cipher.name)) {
+    findings.push({ type: 'warning', message: `Weak cipher negotiated (${report.cipher.name})` });
+  }
+
+  return { ...report, findings };
+}
+
+/* ===============================
+   DNS & Email Authentication
+================================ */
+// e.g. DNS_SERVERS=127.0.0.1:5353 to use a local stub resolver
+const DNS_SERVERS = (process.env.DNS_SERVERS || '').split(',').map(server => server.trim()).filter(Boolean);
+const DNS_TIMEOUT_MS = parseInt(process.env.DNS_TIMEOUT_MS, 10) || 5000;
+const SPF_LOOKUP_LIMIT = 10;
+const SPF_LOOKUP_MECHANISMS = ['include', 'a', 'mx', 'ptr', 'exists', 'redirect'];
+const SPF_MECHANISMS = ['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'];
+const DKIM_SELECTOR_PATTERN = /^[a-z0-9._-]+$/i;
+
+function createDnsResolver(servers = DNS_SERVERS) {
+  const resolver = new dns.promises.Resolver({ timeout: DNS_TIMEOUT_MS, tries: 2 });
+  if (servers.length > 0) resolver.setServers(servers);
+  return resolver;
+}
+
+const MISSING_RECORD_CODES = ['ENODATA', 'ENOTFOUND', 'NXDOMAIN'];
+
+// Missing records resolve to []; real failures (timeouts, SERVFAIL) reject
+async function lookup(resolver, method, name) {
+  try {
+    return await resolver[method](name);
+  } catch (error) {
+    if (MISSING_RECORD_CODES.includes(error.code)) return [];
+    throw error;
+  }
+}
+
+async function lookupTxt(resolver, name, prefix) {
+  const records = await lookup(resolver, 'resolveTxt', name);
+  return records
+    .map(chunks => chunks.join(''))
+    .filter(record => record.toLowerCase().startsWith(prefix.toLowerCase()));
+}
+
+async function resolveCnameChain(resolver, hostname) {
+  const chain = [];
+  let name = hostname;
+
+  while (chain.length < 10) {
+    const [target] = await lookup(resolver, 'resolveCname', name);
+    if (!target || chain.includes(target)) break;
+    chain.push(target);
+    name = target;
+  }
+
+  return chain;
+}
+
+// CAA applies from the closest ancestor that publishes records
+async function findCaa(resolver, hostname) {
+  const labels = hostname.split('.');
+
+  for (let i = 0; i < labels.length - 1; i++) {
+    const name = labels.slice(i).join('.');
+    const records = await lookup(resolver, 'resolveCaa', name);
+    if (records.length > 0) {
+      return {
+        domain: name,
+        records: records.map(record => {
+          const tag = ['issue', 'issuewild', 'iodef', 'contactemail', 'contactphone'].find(key => key in record);
+          return { critical: record.critical, tag, value: tag ? record[tag] : null };
+        })
+      };
+    }
+  }
+
+  return { domain: null, records: [] };
+}
+
+/**
+ * Parses an SPF record and counts the DNS lookups it costs, following
+ * include: and redirect= targets recursively.
+ */
+async function analyzeSpf(resolver, domain) {
+  const records = await lookupTxt(resolver, domain, 'v=spf1');
+  const issues = [];
+
+  if (records.length === 0) {
+    return { record: null, lookups: 0, mechanisms: [], issues: [{ type: 'warning', message: 'No SPF record published' }] };
+  }
+  if (records.length > 1) {
+    issues.push({ type: 'warning', message: `${records.length} SPF records found (only one is allowed)` });
+  }
+
+  const visited = new Set([domain]);
+  let lookups = 0;
+
+  const walk = async (record, source) => {
+    const terms = record.split(/\s+/).slice(1).filter(Boolean);
+    const mechanisms = [];
+
+    for (const term of terms) {
+      const match = term.match(/^([+\-~?]?)([a-z0-9]+)(?:[:=](.*))?$/i);
+      if (!match) {
+        issues.push({ type: 'warning', message: `Invalid SPF term "${term}" in ${source}` });
+        continue;
+      }
+
+      const [, qualifier, rawName, value] = match;
+      const name = rawName.toLowerCase();
+      const isModifier = term.includes('=') && !term.includes(':');
+
+      if (!isModifier && !SPF_MECHANISMS.includes(name)) {
+        issues.push({ type: 'warning', message: `Unknown SPF mechanism "${name}" in ${source}` });
+        continue;
+      }
+
+      mechanisms.push({ qualifier: qualifier || '+', name, value: value || null });
+
+      if (SPF_LOOKUP_MECHANISMS.includes(name)) lookups++;
+      if (name === 'ptr') {
+        issues.push({ type: 'warning', message: `SPF uses the deprecated "ptr" mechanism in ${source}` });
+      }
+
+      if ((name === 'include' || name === 'redirect') && value && !visited.has(value)) {
+        visited.add(value);
+        const [nested] = await lookupTxt(resolver, value, 'v=spf1');
+        if (!nested) {
+          issues.push({ type: 'warning', message: `SPF ${name} target ${value} has no SPF record` });
+        } else if (lookups <= SPF_LOOKUP_LIMIT) {
+          await walk(nested, value);
+        }
+      }
+    }
+
+    return mechanisms;
+  };
+
+  const mechanisms = await walk(records[0], domain);
+  const all = mechanisms.find(mechanism => mechanism.name === 'all');
+
+  if (lookups > SPF_LOOKUP_LIMIT) {
+    issues.push({ type: 'warning', message: `SPF needs ${lookups} DNS lookups (limit is ${SPF_LOOKUP_LIMIT})` });
+  }
+  if (all && all.qualifier === '+') {
+    issues.push({ type: 'warning', message: 'SPF ends with "+all", which authorizes every sender' });
+  } else if (all && all.qualifier === '?') {
+    issues.push({ type: 'info', message: 'SPF ends with "?all" (neutral), which gives no protection' });
+  } else if (!all && !mechanisms.some(mechanism => mechanism.name === 'redirect')) {
+    issues.push({ type: 'info', message: 'SPF has no "all" mechanism' });
+  }
+
+  return { record: records[0], lookups, mechanisms, issues };
+}
+
+async function analyzeDmarc(resolver, domain) {
+  const [record] = await lookupTxt(resolver, `_dmarc.${domain}`, 'v=DMARC1');
+  if (!record) {
+    return { record: null, policy: null, tags: {}, issues: [{ type: 'warning', message: 'No DMARC record published' }] };
+  }
+
+  const tags = Object.fromEntries(record.split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const separator = part.indexOf('=');
+      return [part.slice(0, separator).trim().toLowerCase(), part.slice(separator + 1).trim()];
+    }));
+
+  const issues = [];
+  const policy = (tags.p || '').toLowerCase();
+
+  if (!['none', 'quarantine', 'reject'].includes(policy)) {
+    issues.push({ type: 'warning', message: `DMARC policy "p=${tags.p || ''}" is missing or invalid` });
+  } else if (policy === 'none') {
+    issues.push({ type: 'warning', message: 'DMARC policy is "none" (monitoring only)' });
+  }
+  if (tags.pct && parseInt(tags.pct, 10) < 100) {
+    issues.push({ type: 'info', message: `DMARC policy applies to only ${tags.pct}% of mail` });
+  }
+  if (!tags.rua) {
+    issues.push({ type: 'info', message: 'DMARC has no aggregate report address (rua)' });
+  }
+
+  return { record, policy: policy || null, subdomainPolicy: tags.sp || null, tags, issues };
+}
+
+async function analyzeDkim(resolver, domain, selectors) {
+  return Promise.all(selectors.map(async selector => {
+    const records = await lookupTxt(resolver, `${selector}._domainkey.${domain}`, '');
+    const record = records.find(text => /\bp=/.test(text)) || records[0];
+    const issues = [];
+
+    if (!record) {
+      issues.push({ type: 'warning', message: `No DKIM key for selector "${selector}"` });
+      return { selector, found: false, keyType: null, issues };
+    }
+
+    const keyType = (record.match(/\bk=([^;\s]+)/) || [null, 'rsa'])[1];
+    const publicKey = (record.match(/\bp=([^;\s]*)/) || [null, null])[1];
+
+    if (publicKey === null) {
+      issues.push({ type: 'warning', message: `DKIM record for "${selector}" has no p= tag` });
+    } else if (publicKey === '') {
+      issues.push({ type: 'info', message: `DKIM key for "${selector}" is revoked (empty p=)` });
+    }
+
+    return { selector, found: true, keyType, revoked: publicKey === '', issues };
+  }));
+}
+
+// Runs one lookup group, turning resolver failures into an error entry
+async function settleDns(task, fallback) {
+  try {
+    return await task();
+  } catch (error) {
+    return { ...fallback, error: error.code || error.message };
+  }
+}
+
+/**
+ * Address, name server and CAA records for the scanned host plus SPF,
+ * DMARC and (for supplied selectors) DKIM for its registrable domain.
+ */
+async function analyzeDns(hostname, { resolver = createDnsResolver(), dkimSelectors = [] } = {}) {
+  if (net.isIP(hostname)) {
+    return null;
+  }
+
+  const domain = getRegistrableDomain(hostname);
+
+  const [addresses, cname, mx, ns, caa, spf, dmarc, dkim] = await Promise.all([
+    settleDns(async () => ({
+      a: await lookup(resolver, 'resolve4', hostname),
+      aaaa: await lookup(resolver, 'resolve6', hostname)
+    }), { a: [], aaaa: [] }),
+    settleDns(async () => ({ chain: await resolveCnameChain(resolver, hostname) }), { chain: [] }),
+    settleDns(async () => ({
+      records: (await lookup(resolver, 'resolveMx', domain)).sort((a, b) => a.priority - b.priority)
+    }), { records: [] }),
+    settleDns(async () => ({ records: await lookup(resolver, 'resolveNs', domain) }), { records: [] }),
+    settleDns(() => findCaa(resolver, hostname), { domain: null, records: [] }),
+    settleDns(() => analyzeSpf(resolver, domain), { record: null, lookups: 0, mechanisms: [], issues: [] }),
+    settleDns(() => analyzeDmarc(resolver, domain), { record: null, policy: null, tags: {}, issues: [] }),
+    settleDns(async () => ({ selectors: await analyzeDkim(resolver, domain, dkimSelectors) }), { selectors: [] })
+  ]);
+
+  const findings = [...spf.issues, ...dmarc.issues, ...dkim.selectors.flatMap(selector => selector.issues)];
+
+  if (addresses.a.length === 0 && addresses.aaaa.length === 0 && !addresses.error) {
+    findings.push({ type: 'warning', message: `${hostname} has no A or AAAA records` });
+  }
+  if (addresses.aaaa.length === 0 && !addresses.error) {
+    findings.push({ type: 'info', message: `${hostname} has no IPv6 (AAAA) address` });
+  }
+  if (caa.records.length === 0 && !caa.error) {
+    findings.push({ type: 'info', message: 'No CAA record restricts which CAs may issue certificates' });
+  }
+  if (ns.records.length === 1) {
+    findings.push({ type: 'warning', message: 'Only one name server is configured' });
+  }
+
+  [addresses, cname, mx, ns, caa, spf, dmarc, dkim]
+    .filter(result => result.error)
+    .forEach(result => findings.push({ type: 'warning', message: `DNS lookup failed (${result.error})` }));
+
+  return {
+    hostname,
+    domain,
+    resolver: resolver.getServers(),
+    records: {
+      a: addresses.a,
+      aaaa: addresses.aaaa,
+      cname: cname.chain,
+      mx: mx.records,
+      ns: ns.records,
+      caa
+    },
+    spf,
+    dmarc,
+    dkim: dkim.selectors,
+    findings
+  };
+}
+
+/* ===============================
+   Lighthouse Analysis
+================================ */
+async function runLighthouse(targetUrl, quickMode, profile = DEVICE_PROFILES.desktop) {
+  let lighthouseContext;
+
+  try {
+    logger.log('🔦 Running Lighthouse audit...');
+    
+    const options = {
+      logLevel: 'error',
+      output: 'json',
+      onlyCategories: ['performance', 'accessibility', 'best-practices', 'seo', 'pwa'],
+      formFactor: profile.lighthouse.formFactor,
+      screenEmulation: profile.lighthouse.screenEmulation,
+      emulatedUserAgent: profile.userAgent,
+    };
+
+    if (profile.lighthouse.throttling) {
+      options.throttling = profile.lighthouse.throttling;
+    }
+
+    if (quickMode) {
+      options.onlyCategories = ['performance', 'accessibility', 'seo'];
+      options.skipAudits = ['screenshot-thumbnails', 'final-screenshot', 'full-page-screenshot'];
+    }
+
+    // A fresh incognito context: the scan's own context already holds the
+    // cookies, storage and cache from loading the page
+    lighthouseContext = await browser.createBrowserContext();
+    const lighthousePage = await lighthouseContext.newPage();
+    const runnerResult = await lighthouse(targetUrl, options, undefined, lighthousePage);
+    
+    if (!runnerResult || !runnerResult.lhr) {
+      logger.log('⚠️ Lighthouse returned no results');
+      return null;
+    }
+
+    const lhr = runnerResult.lhr;
+    logger.log('✓ Lighthouse audit complete');
+
+    const categories = {};
+    if (lhr.categories) {
+      Object.keys(lhr.categories).forEach(key => {
+        const category = lhr.categories[key];
+        categories[key] = {
+          score: Math.round(category.score * 100),
+          title: category.title
+        };
+      });
+    }
+
+    const metrics = {};
+    if (lhr.audits) {
+      const metricAudits = [
+        'first-contentful-paint',
+        'largest-contentful-paint',
+        'total-blocking-time',
+        'cumulative-layout-shift',
+        'speed-index',
+        'interactive'
+      ];
+
+      metricAudits.forEach(auditKey => {
+        const audit = lhr.audits[auditKey];
+        if (audit) {
+          metrics[auditKey] = {
+            title: audit.title,
+            displayValue: audit.displayValue || 'N/A',
+            score: audit.score !== null ? Math.round(audit.score * 100) : null,
+            numericValue: audit.numericValue ?? null
+          };
+        }
+      });
+    }
+
+    const opportunities = [];
+    if (lhr.audits) {
+      const opportunityAudits = [
+        'unused-javascript',
+        'unused-css-rules',
+        'modern-image-formats',
+        'offscreen-images',
+        'render-blocking-resources',
+        'unminified-css',
+        'unminified-javascript',
+        'efficient-animated-content',
+        'duplicated-javascript',
+        'legacy-javascript'
+      ];
+
+      opportunityAudits.forEach(auditKey => {
+        const audit = lhr.audits[auditKey];
+        if (audit && audit.details && audit.details.overallSavingsMs > 100) {
+          opportunities.push({
+            title: audit.title,
+            description: audit.description,
+            savingsMs: audit.details.overallSavingsMs || 0,
+            savingsBytes: audit.details.overallSavingsBytes || 0
+          });
+        }
+      });
+    }
+
+    return {
+      categories,
+      metrics,
+      opportunities: opportunities.slice(0, 5), 
+      fetchTime: lhr.fetchTime
+    };
+
+  } catch (error) {
+    logger.error('Lighthouse error:', error.message);
+    return null;
+  } finally {
+    if (lighthouseContext) await lighthouseContext.close().catch(() => {});
+  }
+}
+
+/* ===============================
+   Performance Budgets
+================================ */
+const BUDGETS_FILE = process.env.BUDGETS_FILE || path.join(__dirname, 'data', 'budgets.json');
+
+const BUDGET_TIMINGS = {
+  'first-contentful-paint': { label: 'First Contentful Paint', unit: 'ms' },
+  'largest-contentful-paint': { label: 'Largest Contentful Paint', unit: 'ms' },
+  'total-blocking-time': { label: 'Total Blocking Time', unit: 'ms' },
+  'cumulative-layout-shift': { label: 'Cumulative Layout Shift', unit: '' },
+  'speed-index': { label: 'Speed Index', unit: 'ms' },
+  'interactive': { label: 'Time to Interactive', unit: 'ms' }
+};
+
+const BUDGET_CATEGORIES = ['timings', 'resourceSizes', 'resourceCounts'];
+
+/**
+ * Validates one budget from the file. Returns an error message or null, so a
+ * typo fails loudly instead of becoming a budget that always passes or fails.
+ */
+function validateBudget(budget, index) {
+  if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+    return `budget ${index + 1} must be an object`;
+  }
+
+  const label = `budget "${budget.name || index + 1}"`;
+  if (budget.url !== undefined && typeof budget.url !== 'string') {
+    return `${label}: url must be a string`;
+  }
+
+  for (const category of BUDGET_CATEGORIES) {
+    const limits = budget[category];
+    if (limits === undefined) continue;
+
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      return `${label}: ${category} must be an object`;
+    }
+
+    for (const [key, limit] of Object.entries(limits)) {
+      if (category === 'timings' && !BUDGET_TIMINGS[key]) {
+        return `${label}: unknown timing "${key}". Use one of: ${Object.keys(BUDGET_TIMINGS).join(', ')}`;
+      }
+      if (typeof limit !== 'number' || !Number.isFinite(limit) || limit < 0) {
+        return `${label}: ${category}.${key} must be a non-negative number`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Loads the budgets list. Each budget has an optional `url` glob (`*` matches
+ * anything; no `url` means it applies everywhere) plus any of:
+ *   timings        – Lighthouse metric id → milliseconds (CLS is unitless)
+ *   resourceSizes  – resource type, "third-party" or "total" → kilobytes
+ *   resourceCounts – resource type, "third-party" or "total" → requests
+ * Throws when the file is unreadable or a budget is invalid.
+ */
+function loadBudgets(file) {
+  if (!fs.existsSync(file)) return [];
+
+  let budgets;
+  try {
+    ({ budgets = [] } = JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (error) {
+    throw new Error(`Could not read budgets from ${file}: ${error.message}`);
+  }
+
+  if (!Array.isArray(budgets)) {
+    throw new Error(`"budgets" in ${file} must be a list`);
+  }
+
+  return budgets.map((budget, index) => {
+    const error = validateBudget(budget, index);
+    if (error) throw new Error(`Invalid budgets file ${file}: ${error}`);
+
+    return {
+      name: budget.name || (budget.url ? budget.url : `Budget ${index + 1}`),
+      url: budget.url || null,
+      pattern: budget.url
+        ? new RegExp(`^${budget.url.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i')
+        : null,
+      timings: budget.timings || {},
+      resourceSizes: budget.resourceSizes || {},
+      resourceCounts: budget.resourceCounts || {}
+    };
+  });
+}
+
+const getBudgets = lazy(() => loadBudgets(BUDGETS_FILE));
+
+function resourceLabel(key) {
+  if (key === 'third-party') return 'Third-party';
+  return key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+function resourceTotals(network, key) {
+  const requests = network.requests || [];
+
+  if (key === 'total') {
+    return { bytes: network.summary.transferSize, count: network.summary.requestCount };
+  }
+
+  const matching = key === 'third-party'
+    ? requests.filter(request => request.party === 'third')
+    : requests.filter(request => request.resourceType === key);
+
+  return {
+    bytes: matching.reduce((sum, request) => sum + request.transferSize, 0),
+    count: matching.length
+  };
+}
+
+function budgetItem(category, key, label, unit, limit, actual, source) {
+  if (actual === null || actual === undefined) {
+    return { category, key, label, unit, budget: limit, actual: null, overage: null, overagePercent: null, status: 'skipped', source };
+  }
+
+  const overage = Math.max(0, actual - limit);
+  return {
+    category,
+    key,
+    label,
+    unit,
+    budget: limit,
+    actual,
+    overage: Math.round(overage * 1000) / 1000,
+    overagePercent: limit > 0 ? Math.round((overage / limit) * 100) : null,
+    status: actual > limit ? 'fail' : 'pass',
+    source
+  };
+}
+
+/**
+ * Applies every global budget and every budget whose `url` matches, in file
+ * order, so a later matching budget overrides an earlier limit for the same
+ * metric. Timing budgets are skipped when Lighthouse did not run.
+ */
+function evaluateBudgets(pageUrl, lighthouse, network) {
+  const applicable = getBudgets().filter(budget => !budget.pattern || budget.pattern.test(pageUrl));
+  if (applicable.length === 0) return null;
+
+  const limits = { timings: {}, resourceSizes: {}, resourceCounts: {} };
+  applicable.forEach(budget => {
+    Object.keys(limits).forEach(category => {
+      Object.entries(budget[category]).forEach(([key, limit]) => {
+        limits[category][key] = { limit, source: budget.name };
+      });
+    });
+  });
+
+  const items = [];
+
+  Object.entries(limits.timings).forEach(([metric, { limit, source }]) => {
+    const definition = BUDGET_TIMINGS[metric];
+    if (!definition) return;
+
+    const audit = lighthouse && lighthouse.metrics ? lighthouse.metrics[metric] : null;
+    let actual = null;
+    if (audit && typeof audit.numericValue === 'number') {
+      // Milliseconds are whole numbers; CLS keeps three decimals
+      actual = definition.unit ? Math.round(audit.numericValue) : Math.round(audit.numericValue * 1000) / 1000;
+    }
+    items.push(budgetItem('timing', metric, definition.label, definition.unit, limit, actual, source));
+  });
+
+  Object.entries(limits.resourceSizes).forEach(([key, { limit, source }]) => {
+    const { bytes } = resourceTotals(network, key);
+    items.push(budgetItem('resourceSize', key, `${resourceLabel(key)} size`, 'KB', limit, Math.round(bytes / 102.4) / 10, source));
+  });
+
+  Object.entries(limits.resourceCounts).forEach(([key, { limit, source }]) => {
+    const { count } = resourceTotals(network, key);
+    items.push(budgetItem('resourceCount', key, `${resourceLabel(key)} requests`, 'requests', limit, count, source));
+  });
+
+  const summary = {
+    passed: items.filter(item => item.status === 'pass').length,
+    failed: items.filter(item => item.status === 'fail').length,
+    skipped: items.filter(item => item.status === 'skipped').length
+  };
+
+  return {
+    applied: applicable.map(budget => ({ name: budget.name, url: budget.url })),
+    passed: summary.failed === 0,
+    summary,
+    items
+  };
+}
+
+/* ===============================
+   Robots.txt
+================================ */
+const CRAWLER_USER_AGENT = "SiteScanner";
+
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (current && (field === 'allow' || field === 'disallow')) {
+      current.rules.push({ type: field, path: value });
+    } else if (current && field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds)) current.crawlDelay = seconds;
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+function robotsPatternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+function findRobotsGroup(robots, userAgent) {
+  const agent = userAgent.toLowerCase();
+  let match = null;
+  let matchLength = -1;
+
+  robots.groups.forEach(group => {
+    group.agents.forEach(token => {
+      if (token === '*') {
+        if (matchLength < 0) {
+          match = group;
+          matchLength = 0;
+        }
+      } else if (agent.includes(token) && token.length > matchLength) {
+        match = group;
+        matchLength = token.length;
+      }
+    });
+  });
+
+  return match;
+}
+
+// Returns the rule that decides targetUrl for userAgent, or null when no rule applies
+function matchRobotsRule(robots, userAgent, targetUrl) {
+  if (!robots) return null;
+
+  const group = findRobotsGroup(robots, userAgent);
+  if (!group) return null;
+
+  const parsed = new URL(targetUrl);
+  const path = parsed.pathname + parsed.search;
+
+  let verdict = null;
+  group.rules.forEach(rule => {
+    // An empty Disallow means "allow everything"
+    if (!rule.path) return;
+    if (!robotsPatternToRegex(rule.path).test(path)) return;
+
+    const length = rule.path.length;
+    if (!verdict || length > verdict.path.length ||
+        (length === verdict.path.length && rule.type === 'allow')) {
+      verdict = rule;
+    }
+  });
+
+  return verdict ? { ...verdict, agents: group.agents } : null;
+}
+
+function isAllowedByRobots(robots, userAgent, targetUrl) {
+  const rule = matchRobotsRule(robots, userAgent, targetUrl);
+  return !rule || rule.type === 'allow';
+}
+
+// Resolves to { status, robots }; robots is null when there is no usable file
+async function fetchRobotsTxt(origin) {
+  try {
+    const response = await fetch(`${origin}/robots.txt`, {
+      signal: AbortSignal.timeout(10000),
+      redirect: 'follow'
+    });
+    if (!response.ok) return { status: response.status, robots: null };
+    return { status: response.status, robots: parseRobotsTxt(await response.text()) };
+  } catch (error) {
+    logger.log(`✗ Could not fetch robots.txt for ${origin}: ${error.message}`);
+    return { status: null, robots: null };
+  }
+}
+
+/* ===============================
+   Robots & Sitemap Analysis
+================================ */
+const ROBOTS_USER_AGENTS = [
+  { name: 'Googlebot', token: 'Googlebot' },
+  { name: 'Bingbot', token: 'bingbot' },
+  { name: 'DuckDuckBot', token: 'DuckDuckBot' },
+  { name: 'Applebot', token: 'Applebot' },
+  { name: 'YandexBot', token: 'YandexBot' },
+  { name: 'Baiduspider', token: 'Baiduspider' },
+  { name: 'GPTBot', token: 'GPTBot' }
+];
+
+const SITEMAP_LIMITS = {
+  maxSitemaps: 10,
+  maxBytes: 10 * 1024 * 1024,
+  timeoutMs: 15000
+};
+
+const SITEMAP_STALE_DAYS = 365;
+
+// Compare URLs ignoring fragments, host case and trailing slashes
+function sitemapUrlKey(url) {
+  try {
+    const parsed = new URL(url);
+    const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    return `${parsed.protocol}//${parsed.host.toLowerCase()}${pathname}${parsed.search}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Reads a response body, giving up (and cancelling the download) as soon as
+ * it passes `maxBytes`. Returns null when the body is too large.
+ */
+async function readBodyWithLimit(response, maxBytes) {
+  if (parseInt(response.headers.get('content-length'), 10) > maxBytes) {
+    await response.body?.cancel();
+    return null;
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      // Leaving the loop early cancels the rest of the stream
+      return null;
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+async function fetchSitemap(url) {
+  const response = await fetch(url, {
+    signal: AbortSignal.timeout(SITEMAP_LIMITS.timeoutMs),
+    redirect: 'follow'
+  });
+
+  if (!response.ok) {
+    return { status: response.status, error: `HTTP ${response.status}` };
+  }
+
+  const tooLarge = { status: response.status, error: 'Sitemap is larger than 10MB' };
+
+  let body = await readBodyWithLimit(response, SITEMAP_LIMITS.maxBytes);
+  if (!body) {
+    return tooLarge;
+  }
+
+  // .xml.gz files are served as-is rather than with Content-Encoding
+  if (body[0] === 0x1f && body[1] === 0x8b) {
+    try {
+      body = zlib.gunzipSync(body, { maxOutputLength: SITEMAP_LIMITS.maxBytes });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') return tooLarge;
+      throw error;
+    }
+  }
+
+  const $ = cheerio.load(body.toString('utf8'), { xmlMode: true });
+
+  if ($('sitemapindex').length > 0) {
+    return {
+      status: response.status,
+      type: 'index',
+      children: $('sitemapindex > sitemap > loc').toArray().map(el => $(el).text().trim()).filter(Boolean)
+    };
+  }
+
+  if ($('urlset').length > 0) {
+    return {
+      status: response.status,
+      type: 'urlset',
+      entries: $('urlset > url').toArray().map(el => ({
+        loc: $(el).children('loc').text().trim(),
+        lastmod: $(el).children('lastmod').text().trim() || null
+      }))
+    };
+  }
+
+  return { status: response.status, error: 'Not a sitemap (no <urlset> or <sitemapindex>)' };
+}
+
+function summarizeLastmod(entries) {
+  const dates = entries
+    .map(entry => entry.lastmod ? Date.parse(entry.lastmod) : NaN)
+    .filter(time => !isNaN(time))
+    .sort((a, b) => a - b);
+
+  if (dates.length === 0) {
+    return { withLastmod: 0, newest: null, oldest: null, daysSinceNewest: null };
+  }
+
+  const newest = dates[dates.length - 1];
+  return {
+    withLastmod: dates.length,
+    newest: new Date(newest).toISOString(),
+    oldest: new Date(dates[0]).toISOString(),
+    daysSinceNewest: Math.floor((Date.now() - newest) / 86400000)
+  };
+}
+
+/**
+ * Walks the sitemaps named in robots.txt plus /sitemap.xml, following
+ * sitemap indexes breadth-first up to SITEMAP_LIMITS.maxSitemaps fetches.
+ */
+// Sitemap locations come straight from robots.txt and index files, so only
+// well-formed http(s) URLs are fetched or reported back as URLs
+function normalizeSitemapUrl(value, base) {
+  try {
+    const url = new URL(value, base);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function discoverSitemaps(origin, robots, targetKeys) {
+  const declared = (robots ? robots.sitemaps : []).map(value => normalizeSitemapUrl(value, origin));
+  const fromRobots = declared.filter(Boolean);
+
+  const queue = [...new Set([...fromRobots, `${origin}/sitemap.xml`])]
+    .map(url => ({ url, source: fromRobots.includes(url) ? 'robots.txt' : 'default', parent: null }));
+  const seen = new Set(queue.map(item => item.url));
+  const sitemaps = [];
+  let listedEntry = null;
+  let allEntries = 0;
+  const freshness = [];
+
+  while (queue.length > 0 && sitemaps.length < SITEMAP_LIMITS.maxSitemaps) {
+    const { url, source, parent } = queue.shift();
+    const report = { url, source, parent, status: null, type: null, urlCount: 0, error: null };
+
+    try {
+      const result = await fetchSitemap(url);
+      report.status = result.status;
+      report.type = result.type || null;
+      report.error = result.error || null;
+
+      if (result.type === 'index') {
+        report.urlCount = result.children.length;
+        result.children.forEach(value => {
+          const child = normalizeSitemapUrl(value, url);
+          if (!child || seen.has(child)) return;
+          seen.add(child);
+          queue.push({ url: child, source: 'index', parent: url });
+        });
+      } else if (result.type === 'urlset') {
+        report.urlCount = result.entries.length;
+        report.lastmod = summarizeLastmod(result.entries);
+        allEntries += result.entries.length;
+        freshness.push(...result.entries);
+
+        const match = result.entries.find(entry => targetKeys.has(sitemapUrlKey(entry.loc)));
+        if (match && !listedEntry) {
+          listedEntry = { ...match, sitemap: url };
+        }
+      }
+    } catch (error) {
+      report.error = error.message;
+    }
+
+    sitemaps.push(report);
+  }
+
+  return {
+    sitemaps,
+    unvisited: queue.map(item => item.url),
+    invalidDeclarations: declared.length - fromRobots.length,
+    totalUrls: allEntries,
+    lastmod: summarizeLastmod(freshness),
+    listed: !!listedEntry,
+    listedEntry
+  };
+}
+
+function findNoindex($, headers = {}) {
+  const directives = [
+    ...$('meta[name="robots"], meta[name="googlebot"]').toArray().map(el => $(el).attr('content') || ''),
+    headers['x-robots-tag'] || ''
+  ].join(',').toLowerCase();
+
+  return /\b(noindex|none)\b/.test(directives);
+}
+
+/**
+ * Checks whether the scanned URL is crawlable for the major search engine
+ * user agents and whether the site's sitemaps agree with robots.txt and
+ * the page's own robots directives.
+ */
+async function analyzeRobotsAndSitemaps(targetUrl, $, headers = {}) {
+  const origin = new URL(targetUrl).origin;
+  const issues = [];
+
+  const { status: robotsStatus, robots } = await fetchRobotsTxt(origin);
+
+  const userAgents = ROBOTS_USER_AGENTS.map(agent => {
+    const rule = matchRobotsRule(robots, agent.token, targetUrl);
+    return {
+      name: agent.name,
+      allowed: !rule || rule.type === 'allow',
+      rule: rule ? `${rule.type === 'allow' ? 'Allow' : 'Disallow'}: ${rule.path}` : null,
+      group: rule ? rule.agents.join(', ') : null
+    };
+  });
+
+  const targetKeys = new Set([sitemapUrlKey(targetUrl)]);
+  const sitemapReport = await discoverSitemaps(origin, robots, targetKeys);
+  const noindex = findNoindex($, headers);
+  const googlebot = userAgents[0];
+
+  if (!googlebot.allowed) {
+    issues.push({ severity: 'error', message: `Page is blocked for Googlebot by robots.txt (${googlebot.rule})` });
+  }
+  if (!googlebot.allowed && sitemapReport.listed) {
+    issues.push({ severity: 'error', message: 'Page is disallowed by robots.txt but listed in the sitemap' });
+  }
+  if (noindex && sitemapReport.listed) {
+    issues.push({ severity: 'error', message: 'Page is marked noindex but listed in the sitemap' });
+  }
+
+  if (sitemapReport.invalidDeclarations > 0) {
+    issues.push({
+      severity: 'warning',
+      message: `robots.txt declares ${sitemapReport.invalidDeclarations} sitemap location(s) that are not valid URLs`
+    });
+  }
+
+  const loaded = sitemapReport.sitemaps.filter(sitemap => sitemap.type);
+  sitemapReport.sitemaps
+    .filter(sitemap => sitemap.error && sitemap.source !== 'default')
+    .forEach(sitemap => {
+      issues.push({ severity: 'warning', message: `Sitemap ${sitemap.url} could not be read (${sitemap.error})` });
+    });
+
+  if (loaded.length === 0) {
+    issues.push({ severity: 'warning', message: 'No XML sitemap found (checked robots.txt and /sitemap.xml)' });
+  } else if (!sitemapReport.listed && !noindex && sitemapReport.unvisited.length === 0) {
+    issues.push({ severity: 'warning', message: 'Page is not listed in any sitemap' });
+  }
+
+  if (sitemapReport.lastmod.daysSinceNewest !== null && sitemapReport.lastmod.daysSinceNewest > SITEMAP_STALE_DAYS) {
+    issues.push({
+      severity: 'warning',
+      message: `Sitemap lastmod dates are stale (newest is ${sitemapReport.lastmod.daysSinceNewest} days old)`
+    });
+  }
+
+  return {
+    robotsTxt: {
+      url: `${origin}/robots.txt`,
+      status: robotsStatus,
+      found: !!robots,
+      sitemapsDeclared: robots ? robots.sitemaps.length : 0
+    },
+    userAgents,
+    noindex,
+    ...sitemapReport,
+    issues
+  };
+}
+
+/* ===============================
+   Site Crawl
+================================ */
+const CRAWL_DEFAULTS = { maxDepth: 2, maxPages: 20 };
+const CRAWL_LIMITS = { maxDepth: 5, maxPages: 100 };
+
+const NON_HTML_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|avif|ico|css|js|json|xml|txt|zip|gz|mp4|mp3|webm|woff2?|ttf|eot|docx?|xlsx?|pptx?)$/i;
+
+function clampCrawlOption(value, fallback, max) {
+  const number = parseInt(value, 10);
+  if (isNaN(number) || number < 0) return fallback;
+  return Math.min(number, max);
+}
+
+// Relative links resolve against the page URL, but only links on the crawl's
+// own origin are kept, even when the page itself was reached via a redirect
+function extractSameOriginLinks($, pageUrl, origin) {
+  const links = new Set();
+
+  $('a[href]').each((i, el) => {
+    const href = $(el).attr('href');
+    if (!href || href.startsWith('#') || /^(mailto|tel|javascript):/i.test(href)) return;
+
+    let resolved;
+    try {
+      resolved = new URL(href, pageUrl);
+    } catch {
+      return;
+    }
+
+    if (resolved.origin !== origin) return;
+    if (NON_HTML_EXTENSIONS.test(resolved.pathname)) return;
+
+    resolved.hash = '';
+    links.add(resolved.href);
+  });
+
+  return [...links];
+}
+
+async function analyzeCrawlPage(targetUrl, depth, quickMode, profile, origin) {
+  let page;
+
+  try {
+    page = await acquirePage();
+    await applyDeviceProfile(page, profile);
+
+    const response = await loadPage(page, targetUrl, quickMode ? 20000 : 30000);
+
+    if (new URL(page.url()).origin !== origin) {
+      return { page: null, redirectedTo: page.url(), links: [] };
+    }
+
+    const responseHeaders = response ? response.headers() : {};
+    const html = await page.content();
+    const $ = cheerio.load(html);
+
+    const layout = extractLayout($);
+    const seo = analyzeSEO($);
+    const seoResult = calculateSEOScore(seo, layout);
+
+    return {
+      page: {
+        url: targetUrl,
+        finalUrl: page.url(),
+        depth,
+        status: response ? response.status() : null,
+        layout,
+        seo: {
+          ...seo,
+          score: seoResult.score,
+          issues: seoResult.issues
+        },
+        accessibility: checkAccessibility($),
+        security: checkSecurity($, html, responseHeaders),
+        securityHeaders: auditSecurityHeaders(responseHeaders, page.url(), $)
+      },
+      links: extractSameOriginLinks($, page.url(), origin)
+    };
+  } catch (error) {
+    // Pool rejections abort the whole crawl rather than failing one page
+    if (error.statusCode) throw error;
+
+    logger.log(`✗ Crawl failed for ${targetUrl}: ${error.message}`);
+    return {
+      page: { url: targetUrl, depth, error: error.message },
+      links: []
+    };
+  } finally {
+    if (page) await releasePage(page);
+  }
+}
+
+function buildCrawlRollup(pages) {
+  const analyzed = pages.filter(p => !p.error);
+  const seoScores = analyzed.map(p => p.seo.score);
+
+  const issueCounts = {};
+  analyzed.forEach(p => {
+    p.seo.issues.forEach(issue => {
+      issueCounts[issue] = (issueCounts[issue] || 0) + 1;
+    });
+  });
+
+  const titles = {};
+  analyzed.forEach(p => {
+    if (!p.seo.title) return;
+    const key = p.seo.title.trim();
+    titles[key] = titles[key] || [];
+    titles[key].push(p.url);
+  });
+
+  const lowest = analyzed.reduce(
+    (worst, p) => (!worst || p.seo.score < worst.score ? { url: p.url, score: p.seo.score } : worst),
+    null
+  );
+
+  return {
+    pagesCrawled: analyzed.length,
+    pagesFailed: pages.length - analyzed.length,
+    averageSeoScore: seoScores.length
+      ? Math.round(seoScores.reduce((sum, score) => sum + score, 0) / seoScores.length)
+      : null,
+    lowestSeoScore: lowest,
+    missingTitles: analyzed.filter(p => !p.seo.title).length,
+    missingMetaDescriptions: analyzed.filter(p => !p.seo.metaDescription).length,
+    duplicateTitles: Object.entries(titles)
+      .filter(([, urls]) => urls.length > 1)
+      .map(([title, urls]) => ({ title, urls })),
+    commonSeoIssues: Object.entries(issueCounts)
+      .map(([issue, count]) => ({ issue, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10),
+    totalAccessibilityIssues: analyzed.reduce((sum, p) => sum + p.accessibility.length, 0),
+    securityWarnings: analyzed.reduce(
+      (sum, p) => sum + p.security.filter(f => f.type === 'warning').length,
+      0
+    )
+  };
+}
+
+async function crawlSite(seedUrl, options = {}, onProgress = noProgress) {
+  const maxDepth = clampCrawlOption(options.maxDepth, CRAWL_DEFAULTS.maxDepth, CRAWL_LIMITS.maxDepth);
+  const maxPages = clampCrawlOption(options.maxPages, CRAWL_DEFAULTS.maxPages, CRAWL_LIMITS.maxPages) || 1;
+  const origin = new URL(seedUrl).origin;
+
+  logger.log(`🕸️  Crawling ${origin} (depth ${maxDepth}, max ${maxPages} pages)`);
+
+  const { robots } = await fetchRobotsTxt(origin);
+  const robotsGroup = robots ? findRobotsGroup(robots, CRAWLER_USER_AGENT) : null;
+  const crawlDelayMs = robotsGroup && robotsGroup.crawlDelay
+    ? Math.min(robotsGroup.crawlDelay * 1000, 10000)
+    : 0;
+
+  const queue = [{ url: seedUrl, depth: 0 }];
+  const seen = new Set([seedUrl]);
+  const pages = [];
+  const disallowed = [];
+  const redirectedOffOrigin = [];
+
+  while (queue.length > 0 && pages.length < maxPages) {
+    const { url, depth } = queue.shift();
+
+    if (!isAllowedByRobots(robots, CRAWLER_USER_AGENT, url)) {
+      disallowed.push(url);
+      continue;
+    }
+
+    if (pages.length > 0 && crawlDelayMs) await delay(crawlDelayMs);
+
+    logger.log(`  [${pages.length + 1}/${maxPages}] depth ${depth}: ${url}`);
+    onProgress('crawling', `Page ${pages.length + 1}/${maxPages}: ${url}`);
+    const { page, redirectedTo, links } = await analyzeCrawlPage(
+      url,
+      depth,
+      options.quickMode,
+      Object.hasOwn(DEVICE_PROFILES, options.device) ? DEVICE_PROFILES[options.device] : DEVICE_PROFILES.desktop,
+      origin
+    );
+
+    if (!page) {
+      redirectedOffOrigin.push({ url, redirectedTo });
+      continue;
+    }
+    pages.push(page);
+
+    if (depth >= maxDepth) continue;
+
+    links.forEach(link => {
+      if (seen.has(link)) return;
+      seen.add(link);
+      queue.push({ url: link, depth: depth + 1 });
+    });
+  }
+
+  return {
+    pages,
+    rollup: buildCrawlRollup(pages),
+    crawl: {
+      maxDepth,
+      maxPages,
+      robotsTxtFound: !!robots,
+      crawlDelayMs,
+      disallowedByRobots: disallowed,
+      redirectedOffOrigin,
+      unvisited: queue.length
+    }
+  };
+}
+
+/* ===============================
+   Scan Store
+================================ */
+// One JSON file per scan; a summary index is kept in memory for listing
+const SCAN_LIST_LIMIT = 500;
+
+function scanFile(id) {
+  return path.join(storage.scansDir, `${id}.json`);
+}
+
+function lighthouseScores(lighthouse) {
+  if (!lighthouse || !lighthouse.categories) return null;
+
+  const categories = lighthouse.categories;
+  return {
+    performance: categories.performance?.score ?? null,
+    accessibility: categories.accessibility?.score ?? null,
+    seo: categories.seo?.score ?? null,
+    bestPractices: categories['best-practices']?.score ?? null,
+    pwa: categories.pwa?.score ?? null
+  };
+}
+
+/**
+ * Builds the list entry for a stored scan. Single-page scores mirror what the
+ * history panel shows; crawls report their rollup instead.
+ */
+function summarizeScan(result) {
+  const meta = result.meta || {};
+  const summary = {
+    id: meta.scanId,
+    url: result.url,
+    mode: result.mode || 'single',
+    device: meta.device ? meta.device.id : null,
+    deviceName: meta.device ? meta.device.name : null,
+    quickMode: !!meta.quickMode,
+    analyzedAt: meta.analyzedAt
+  };
+
+  if (summary.mode === 'crawl') {
+    const rollup = result.rollup || {};
+    summary.scores = {
+      seo: rollup.averageSeoScore ?? null,
+      pages: rollup.pagesCrawled || 0,
+      pagesFailed: rollup.pagesFailed || 0,
+      accessibility: rollup.totalAccessibilityIssues || 0
+    };
+    return summary;
+  }
+
+  const accessibility = result.accessibility;
+  summary.scores = {
+    seo: result.seo ? result.seo.score : null,
+    loadTime: result.performance ? result.performance.loadTime : null,
+    accessibility: Array.isArray(accessibility)
+      ? accessibility.length
+      : (accessibility && accessibility.violations ? accessibility.violations.length : 0),
+    accessibilityScore: accessibility && !Array.isArray(accessibility) ? accessibility.score ?? null : null,
+    security: Array.isArray(result.security) ? result.security.length : 0,
+    securityScore: result.securityHeaders ? result.securityHeaders.score ?? null : null,
+    budgetsFailed: result.budgets ? result.budgets.summary.failed : null,
+    lighthouse: lighthouseScores(result.lighthouse)
+  };
+  return summary;
+}
+
+function loadScanIndex(dir) {
+  const index = new Map();
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+  } catch (error) {
+    logger.error(`Could not create scan store at ${dir}:`, error.message);
+    return index;
+  }
+
+  fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+    try {
+      const summary = summarizeScan(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+      if (summary.id) index.set(summary.id, summary);
+    } catch (error) {
+      logger.error(`Skipping stored scan ${file}:`, error.message);
+    }
+  });
+
+  logger.log(`✓ Loaded ${index.size} stored scans from ${dir}`);
+  return index;
+}
+
+let scanIndex = null;
+
+function getScanIndex() {
+  if (!scanIndex) scanIndex = loadScanIndex(storage.scansDir);
+  return scanIndex;
+}
+
+/**
+ * Points the scan store and artifacts at other directories (e.g. the CLI's
+ * --artifacts). The scan index reloads from the new directory on next use.
+ */
+function configureStorage({ scansDir, artifactsDir } = {}) {
+  if (scansDir) storage.scansDir = path.resolve(scansDir);
+  if (artifactsDir) storage.artifactsDir = path.resolve(artifactsDir);
+  scanIndex = null;
+}
+
+async function saveScan(result) {
+  const summary = summarizeScan(result);
+  const file = scanFile(summary.id);
+
+  // Write then rename so a crash never leaves a half-written record behind
+  await fs.promises.mkdir(storage.scansDir, { recursive: true });
+  await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(result));
+  await fs.promises.rename(`${file}.tmp`, file);
+
+  getScanIndex().set(summary.id, summary);
+  return summary;
+}
+
+/**
+ * Stores a finished scan. "both" scans are stored as one record per device so
+ * each can be listed, compared and diffed on its own.
+ */
+async function persistScan(result) {
+  const records = result.mode === 'both' ? Object.values(result.results) : [result];
+
+  for (const record of records) {
+    try {
+      await saveScan(record);
+    } catch (error) {
+      logger.error(`❌ Could not store scan ${record.meta.scanId}:`, error.message);
+    }
+  }
+}
+
+async function readScan(id) {
+  try {
+    return JSON.parse(await fs.promises.readFile(scanFile(id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function deleteScan(id) {
+  if (!getScanIndex().has(id) && !fs.existsSync(scanFile(id))) return false;
+
+  await fs.promises.rm(scanFile(id), { force: true });
+  await fs.promises.rm(path.join(storage.artifactsDir, id), { recursive: true, force: true });
+  getScanIndex().delete(id);
+  return true;
+}
+
+/**
+ * Filters the index. `url` is a case-insensitive substring match, `from` and
+ * `to` bound analyzedAt. Newest scans come first.
+ */
+function listScans({ url, from, to, mode, device, limit = 50, offset = 0 } = {}) {
+  const needle = url ? url.toLowerCase() : null;
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  const matches = [...getScanIndex().values()]
+    .filter(scan => {
+      const time = new Date(scan.analyzedAt).getTime();
+      if (needle && !scan.url.toLowerCase().includes(needle)) return false;
+      if (mode && scan.mode !== mode) return false;
+      if (device && scan.device !== device) return false;
+      if (fromTime !== null && time < fromTime) return false;
+      if (toTime !== null && time > toTime) return false;
+      return true;
+    })
+    .sort((a, b) => new Date(b.analyzedAt) - new Date(a.analyzedAt));
+
+  return {
+    total: matches.length,
+    scans: matches.slice(offset, offset + limit)
+  };
+}
+
+/* ===============================
+   Webhooks
+================================ */
+// Signed JSON notifications for scan.completed, scan.failed and scan.regressed
+const WEBHOOKS_FILE = path.resolve(process.env.WEBHOOKS_FILE || path.join(__dirname, 'webhooks.json'));
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000;
+const MAX_WEBHOOK_DELIVERIES = 500;
+
+const WEBHOOK_EVENTS = ['scan.completed', 'scan.failed', 'scan.regressed'];
+
+function loadWebhooks(file) {
+  const loaded = new Map();
+
+  if (!fs.existsSync(file)) return loaded;
+
+  try {
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(webhook => loaded.set(webhook.id, webhook));
+    logger.log(`✓ Loaded ${loaded.size} webhooks from ${file}`);
+  } catch (error) {
+    logger.error(`Could not read webhooks from ${file}:`, error.message);
+  }
+
+  return loaded;
+}
+
+const getWebhooks = lazy(() => loadWebhooks(WEBHOOKS_FILE));
+// Newest first; older entries fall off once the log is full
+const webhookDeliveries = [];
+
+async function saveWebhooks() {
+  await fs.promises.mkdir(path.dirname(WEBHOOKS_FILE), { recursive: true });
+  await fs.promises.writeFile(`${WEBHOOKS_FILE}.tmp`, JSON.stringify([...getWebhooks().values()], null, 2));
+  await fs.promises.rename(`${WEBHOOKS_FILE}.tmp`, WEBHOOKS_FILE);
+}
+
+function webhookSummary(webhook, { includeSecret = false } = {}) {
+  const { secret, ...rest } = webhook;
+  return includeSecret ? webhook : { ...rest, secret: `${secret.slice(0, 4)}…` };
+}
+
+/**
+ * Validates a webhook body, merged over the existing webhook for updates.
+ * Returns { error } or { fields }.
+ */
+function parseWebhookRequest(body, existing = null) {
+  const merged = { ...(existing || {}), ...body };
+  let parsed;
+
+  try {
+    parsed = new URL(merged.url);
+  } catch (error) {
+    return { error: 'url must be an absolute http(s) URL' };
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { error: 'url must be an absolute http(s) URL' };
+  }
+
+  const events = merged.events || WEBHOOK_EVENTS;
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+    return { error: `events must be a list of: ${WEBHOOK_EVENTS.join(', ')}` };
+  }
+
+  if (merged.secret !== undefined && (typeof merged.secret !== 'string' || merged.secret.length < 16)) {
+    return { error: 'secret must be a string of at least 16 characters' };
+  }
+
+  return {
+    fields: {
+      url: parsed.href,
+      events: [...new Set(events)],
+      secret: merged.secret || crypto.randomBytes(32).toString('hex'),
+      enabled: merged.enabled !== false
+    }
+  };
+}
+
+/**
+ * Signs `${timestamp}.${body}` with HMAC-SHA256 so receivers can verify the
+ * payload and reject replays.
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function attemptDelivery(delivery) {
+  const webhook = getWebhooks().get(delivery.webhookId);
+
+  if (!webhook) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    delivery.attempts.push({ at: new Date().toISOString(), statusCode: null, error: 'Webhook was deleted', durationMs: 0 });
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const attempt = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: null };
+  const started = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      redirect: 'manual',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'site-scanner-webhooks',
+        'X-Site-Scanner-Event': delivery.event,
+        'X-Site-Scanner-Delivery': delivery.id,
+        'X-Site-Scanner-Timestamp': timestamp,
+        'X-Site-Scanner-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (response.body) await response.body.cancel();
+
+    attempt.statusCode = response.status;
+    if (!response.ok) attempt.error = `HTTP ${response.status}`;
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError'
+      ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms`
+      : (error.cause && error.cause.code) || error.message;
+  }
+
+  attempt.durationMs = Date.now() - started;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+    return;
+  }
+
+  if (delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    logger.error(`❌ Webhook delivery ${delivery.id} to ${webhook.url} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+    return;
+  }
+
+  // Exponential backoff: base, 2x base, 4x base, ...
+  const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1);
+  delivery.status = 'retrying';
+  delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  setTimeout(() => attemptDelivery(delivery), delay).unref();
+}
+
+function deliverWebhook(webhook, event, data) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    webhookId: webhook.id,
+    event,
+    url: webhook.url,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: null,
+    attempts: [],
+    payload: null
+  };
+
+  delivery.payload = { id: delivery.id, event, createdAt: delivery.createdAt, data };
+
+  webhookDeliveries.unshift(delivery);
+  if (webhookDeliveries.length > MAX_WEBHOOK_DELIVERIES) webhookDeliveries.length = MAX_WEBHOOK_DELIVERIES;
+
+  attemptDelivery(delivery);
+  return delivery;
+}
+
+function dispatchWebhookEvent(event, data) {
+  getWebhooks().forEach(webhook => {
+    if (webhook.enabled && webhook.events.includes(event)) deliverWebhook(webhook, event, data);
+  });
+}
+
+/**
+ * Newest stored single-page scan of the same URL and device that ran before
+ * the given one.
+ */
+function findPreviousScan(summary) {
+  let previous = null;
+
+  getScanIndex().forEach(candidate => {
+    if (candidate.id === summary.id || candidate.mode !== 'single') return;
+    if (candidate.url !== summary.url || candidate.device !== summary.device) return;
+    if (new Date(candidate.analyzedAt) >= new Date(summary.analyzedAt)) return;
+    if (!previous || new Date(candidate.analyzedAt) > new Date(previous.analyzedAt)) previous = candidate;
+  });
+
+  return previous;
+}
+
+async function notifyScanCompleted(result) {
+  const records = result.mode === 'both' ? Object.values(result.results) : [result];
+
+  for (const record of records) {
+    const summary = summarizeScan(record);
+    dispatchWebhookEvent('scan.completed', { scan: summary, resultUrl: `/scans/${summary.id}` });
+
+    if (summary.mode !== 'single') continue;
+
+    const previousSummary = findPreviousScan(summary);
+    if (!previousSummary) continue;
+
+    try {
+      const previous = await readScan(previousSummary.id);
+      const regressions = previous ? findRegressions(previous, record) : [];
+
+      if (regressions.length > 0) {
+        dispatchWebhookEvent('scan.regressed', {
+          scan: summary,
+          previousScan: previousSummary,
+          regressions,
+          resultUrl: `/scans/${summary.id}`
+        });
+      }
+    } catch (error) {
+      logger.error(`❌ Could not compare scan ${summary.id} with its previous scan:`, error.message);
+    }
+  }
+}
+
+function notifyScanFailed(scanRequest, error) {
+  const { errorType, userMessage } = classifyError(error);
+
+  dispatchWebhookEvent('scan.failed', {
+    url: scanRequest.targetUrl,
+    request: scanRequest,
+    errorType,
+    message: userMessage
+  });
+}
+
+/* ===============================
+   Scan Pipeline
+================================ */
+
+function classifyError(error) {
+  let userMessage = error.message;
+  let errorType = "Failed to analyze website";
+  let statusCode = error.statusCode || 500;
+
+  if (error.code === 'QUEUE_FULL') {
+    errorType = "Server Busy";
+  } else if (error.code === 'QUEUE_TIMEOUT') {
+    errorType = "Queue Timeout";
+  } else if (error.message.includes("Navigation timeout") || error.message.includes("timeout")) {
+    errorType = "Timeout Error";
+    userMessage = "The website took too long to respond. This could be due to: slow server response, heavy page content, or network issues. Try again or test a different URL.";
+  } else if (error.message.includes("net::ERR_NAME_NOT_RESOLVED")) {
+    errorType = "DNS Error";
+    userMessage = "Could not resolve the domain name. Please check the URL and try again.";
+  } else if (error.message.includes("net::ERR_CONNECTION_REFUSED")) {
+    errorType = "Connection Refused";
+    userMessage = "The server refused the connection. The website might be down or blocking requests.";
+  } else if (error.message.includes("net::ERR_CERT")) {
+    errorType = "SSL Certificate Error";
+    userMessage = "SSL certificate issue detected. The website may have an invalid or expired certificate.";
+  }
+
+  return { errorType, userMessage, statusCode };
+}
+
+async function analyzeUrl(targetUrl, { quickMode, device = 'desktop', dkimSelectors = [], waitForSlot = false }, onProgress = noProgress) {
+  let page;
+  const startTime = Date.now();
+  const scanId = crypto.randomUUID();
+  const profile = DEVICE_PROFILES[device];
+
+  try {
+    logger.log(`\n🔍 Analyzing: ${targetUrl} [${profile.name}]${quickMode ? ' (Quick Mode)' : ''}`);
+
+    page = await acquirePage(position => {
+      logger.log(`⏳ Waiting for a browser page (queue position ${position})`);
+      onProgress('queued', `Waiting for a free browser slot (position ${position} in queue)`, { position });
+    }, { bounded: !waitForSlot });
+
+    await applyDeviceProfile(page, profile);
+    const network = await startNetworkCapture(page);
+
+    const timeout = quickMode ? 30000 : 60000;
+    const waitTime = quickMode ? 1000 : 3000;
+
+    onProgress('loading', `Loading ${targetUrl}`);
+    const response = await loadPage(page, targetUrl, timeout);
+    const responseHeaders = response ? response.headers() : {};
+
+    logger.log(`Waiting ${waitTime}ms for dynamic content...`);
+    await delay(waitTime);
+
+    onProgress('screenshot', 'Capturing screenshots');
+    logger.log('📸 Capturing screenshots...');
+    const screenshots = await captureScreenshots(page, scanId, profile, quickMode);
+    await saveArtifact(scanId, 'manifest.json', JSON.stringify({
+      scanId,
+      url: targetUrl,
+      device,
+      analyzedAt: new Date().toISOString(),
+      screenshots
+    }));
+    logger.log(`✓ ${screenshots.length} screenshots captured`);
+
+    onProgress('analyzers', 'Running SEO, accessibility, security and tech analyzers');
+    const finalUrl = page.url();
+    const rawCookies = await collectCookies(page);
+    const cookies = auditCookies(rawCookies, finalUrl);
+    const html = await page.content();
+    const $ = cheerio.load(html);
+
+    const layout = extractLayout($);
+    const seoBase = analyzeSEO($);
+    const [crawlability, redirects, tlsReport, dnsReport] = await Promise.all([
+      analyzeRobotsAndSitemaps(finalUrl, $, responseHeaders),
+      analyzeRedirects(targetUrl, finalUrl, seoBase.canonical),
+      inspectTls(finalUrl),
+      analyzeDns(new URL(finalUrl).hostname, { dkimSelectors })
+    ]);
+    const seo = { ...seoBase, crawlability, redirects };
+    const techStack = await detectTechStack(page, html, responseHeaders, rawCookies);
+    const performance = await getPerformanceMetrics(page);
+    const accessibility = await runAxe(page);
+    const security = [
+      ...checkSecurity($, html, responseHeaders),
+      ...(tlsReport ? tlsReport.findings : [])
+    ];
+    const securityHeaders = auditSecurityHeaders(responseHeaders, finalUrl, $);
+    const seoResult = calculateSEOScore(seo, layout);
+
+    let links = null;
+    if (!quickMode) {
+      onProgress('analyzers', 'Checking links and resources');
+      links = await checkLinks($, finalUrl);
+      logger.log(`✓ Checked ${links.summary.checked} links (${links.summary.broken} broken)`);
+    }
+
+    await network.stop();
+    const networkInventory = buildNetworkInventory(network.requests, finalUrl);
+    const har = buildHar(network.requests, {
+      url: finalUrl,
+      title: seo.title,
+      domContentLoaded: performance.domContentLoaded,
+      loadTime: performance.loadTime
+    });
+    await saveArtifact(scanId, 'network.har', JSON.stringify(har));
+
+    let lighthouse = null;
+    if (!quickMode) {
+      onProgress('lighthouse', 'Running Lighthouse audit');
+      await lighthousePool.acquire(position => {
+        onProgress('lighthouse', `Waiting for Lighthouse (position ${position} in queue)`, { position });
+      }, { bounded: !waitForSlot });
+      try {
+        lighthouse = await runLighthouse(targetUrl, quickMode, profile);
+      } finally {
+        lighthousePool.release();
+      }
+    } else {
+      onProgress('lighthouse', 'Skipped in Quick Mode');
+      logger.log('⚡ Quick mode: Skipping Lighthouse audit');
+    }
+
+    const analysisTime = Date.now() - startTime;
+
+    return {
+      url: targetUrl,
+      screenshots,
+      techStack,
+      trackers: detectTrackers(network.requests, finalUrl),
+      cookies,
+      layout,
+      seo: {
+        ...seo,
+        score: seoResult.score,
+        issues: seoResult.issues
+      },
+      performance,
+      accessibility,
+      links,
+      security,
+      securityHeaders,
+      tls: tlsReport,
+      dns: dnsReport,
+      network: {
+        ...networkInventory,
+        harUrl: `/scans/${scanId}/har`
+      },
+      lighthouse,
+      budgets: evaluateBudgets(finalUrl, lighthouse, networkInventory),
+      meta: {
+        scanId,
+        analyzedAt: new Date().toISOString(),
+        analysisTime: `${analysisTime}ms`,
+        quickMode: quickMode || false,
+        device: describeDevice(device)
+      }
+    };
+  } finally {
+    if (page) await releasePage(page);
+  }
+}
+
+/**
+ * Runs a single-page analysis or a site crawl, depending on the request body.
+ */
+async function executeScan({ targetUrl, quickMode, crawl, device, dkimSelectors }, onProgress = noProgress, { waitForSlot = false } = {}) {
+  const startTime = Date.now();
+
+  await initBrowser();
+
+  if (crawl) {
+    const crawlOptions = typeof crawl === 'object' ? crawl : {};
+    const crawlResult = await crawlSite(targetUrl, { ...crawlOptions, quickMode, device }, onProgress);
+
+    return {
+      url: targetUrl,
+      mode: 'crawl',
+      ...crawlResult,
+      meta: {
+        scanId: crypto.randomUUID(),
+        analyzedAt: new Date().toISOString(),
+        analysisTime: `${Date.now() - startTime}ms`,
+        quickMode: quickMode || false,
+        device: describeDevice(device)
+      }
+    };
+  }
+
+  if (device === 'both') {
+    // Both scans share the page pool, so they run in parallel when slots allow
+    const results = await Promise.all(DEVICE_PAIR.map(id =>
+      analyzeUrl(targetUrl, { quickMode, device: id, dkimSelectors, waitForSlot }, (stage, message, details = {}) => {
+        onProgress(stage, `[${DEVICE_PROFILES[id].name}] ${message}`, { ...details, device: id });
+      })
+    ));
+
+    return {
+      url: targetUrl,
+      mode: 'both',
+      results: Object.fromEntries(DEVICE_PAIR.map((id, index) => [id, results[index]])),
+      meta: {
+        analyzedAt: new Date().toISOString(),
+        analysisTime: `${Date.now() - startTime}ms`,
+        quickMode: quickMode || false,
+        devices: DEVICE_PAIR.map(describeDevice)
+      }
+    };
+  }
+
+  return analyzeUrl(targetUrl, { quickMode, device, dkimSelectors, waitForSlot }, onProgress);
+}
+
+/**
+ * Runs a scan, stores the result and notifies webhooks. Shared by the
+ * synchronous /analyze route, the async job API, monitors and batches.
+ * `waitForSlot` queues for browser slots without the queue cap or timeout.
+ */
+async function runScan(scanRequest, onProgress = noProgress, options) {
+  let result;
+  try {
+    result = await executeScan(scanRequest, onProgress, options);
+  } catch (error) {
+    notifyScanFailed(scanRequest, error);
+    throw error;
+  }
+
+  await persistScan(result);
+  notifyScanCompleted(result).catch(error => logger.error('❌ Could not send scan webhooks:', error.message));
+  return result;
+}
+
+/**
+ * Validates a scan request body. Returns { error } for a 400 response or
+ * { scanRequest } with normalized options.
+ */
+function parseScanRequest(body) {
+  const { targetUrl, quickMode, crawl, device = 'desktop', dkimSelectors = [] } = body || {};
+
+  if (!targetUrl) {
+    return { error: "URL required" };
+  }
+
+  if (device !== 'both' && !Object.hasOwn(DEVICE_PROFILES, device)) {
+    return {
+      error: `Unknown device "${device}". Use one of: ${[...Object.keys(DEVICE_PROFILES), 'both'].join(', ')}`
+    };
+  }
+
+  if (crawl && device === 'both') {
+    return { error: 'Device "both" is not supported in crawl mode' };
+  }
+
+  if (!Array.isArray(dkimSelectors) || !dkimSelectors.every(selector => DKIM_SELECTOR_PATTERN.test(selector))) {
+    return { error: 'dkimSelectors must be a list of DKIM selector names' };
+  }
+
+  return {
+    scanRequest: {
+      targetUrl: normalizeUrl(targetUrl),
+      quickMode: !!quickMode,
+      crawl: crawl || false,
+      device,
+      dkimSelectors
+    }
+  };
+}
+
+/* ===============================
+   Analyze Route
+================================ */
+app.post("/analyze", async (req, res) => {
+  try {
+    const { scanRequest, error } = parseScanRequest(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await runScan(scanRequest);
+    res.json(result);
+
+  } catch (error) {
+    logger.log("ANALYSIS ERROR:", error.message);
+
+    const { errorType, userMessage, statusCode } = classifyError(error);
+
+    if (statusCode === 429) res.set('Retry-After', '30');
+
+    res.status(statusCode).json({
+      error: errorType,
+      message: userMessage,
+      technicalDetails: error.stack || error.message
+    });
+  }
+});
+
+/* ===============================
+   Scan Jobs
+================================ */
+const jobs = new Map();
+const JOB_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Streams a job's or batch's events over SSE until a "complete" or "failed"
+ * event. Past events are replayed first so late subscribers see every stage.
+ */
+function streamEvents(req, res, source, finished) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (event.type === 'complete' || event.type === 'failed') {
+      cleanup();
+      res.end();
+    }
+  };
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    source.emitter.off('event', send);
+  }
+
+  req.on('close', cleanup);
+
+  source.events.forEach(send);
+  if (!finished) {
+    source.emitter.on('event', send);
+  }
+}
+
+function jobSummary(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    queuePosition: job.queuePosition,
+    url: job.request.targetUrl,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    events: job.events,
+    error: job.error,
+    result: job.result
+  };
+}
+
+function emitJobEvent(job, type, data) {
+  const event = { type, ...data, timestamp: new Date().toISOString() };
+  job.updatedAt = event.timestamp;
+  job.events.push(event);
+  job.emitter.emit('event', event);
+}
+
+function createJob(scanRequest) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    stage: null,
+    queuePosition: null,
+    request: scanRequest,
+    createdAt: now,
+    updatedAt: now,
+    events: [],
+    result: null,
+    error: null,
+    emitter: new EventEmitter()
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+async function runJob(job) {
+  job.status = 'running';
+  emitJobEvent(job, 'status', { status: 'running' });
+
+  try {
+    job.result = await runScan(job.request, (stage, message, details = {}) => {
+      job.stage = stage;
+      job.queuePosition = details.position || null;
+      emitJobEvent(job, 'progress', { stage, message, ...details });
+    });
+    job.status = 'completed';
+    emitJobEvent(job, 'complete', { status: 'completed' });
+  } catch (error) {
+    logger.log(`JOB ${job.id} ERROR:`, error.message);
+
+    const { errorType, userMessage } = classifyError(error);
+    job.status = 'failed';
+    job.error = {
+      error: errorType,
+      message: userMessage,
+      technicalDetails: error.stack || error.message
+    };
+    emitJobEvent(job, 'failed', { status: 'failed', error: errorType, message: userMessage });
+  } finally {
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+  }
+}
+
+app.post("/jobs", (req, res) => {
+  const { scanRequest, error } = parseScanRequest(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (pagePool.isFull()) {
+    res.set('Retry-After', '30');
+    return res.status(429).json({
+      error: "Server Busy",
+      message: `All browser slots are busy and ${MAX_QUEUE_LENGTH} scans are already waiting. Try again shortly.`
+    });
+  }
+
+  const job = createJob(scanRequest);
+  runJob(job);
+
+  res.status(202).json({
+    id: job.id,
+    status: job.status,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`
+  });
+});
+
+app.get("/jobs/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  res.json(jobSummary(job));
+});
+
+app.get("/jobs/:id/events", (req, res) => {
+  const job = jobs.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  streamEvents(req, res, job, job.status === 'completed' || job.status === 'failed');
+});
+
+/* ===============================
+   Batch Scans
+================================ */
+const MAX_BATCH_URLS = parseInt(process.env.MAX_BATCH_URLS, 10) || 200;
+// Items beyond the page pool would only wait for a slot, so cap per-batch concurrency there
+const BATCH_CONCURRENCY = Math.min(parseInt(process.env.BATCH_CONCURRENCY, 10) || MAX_CONCURRENT_PAGES, MAX_CONCURRENT_PAGES);
+const MAX_CONCURRENT_BATCHES = parseInt(process.env.MAX_CONCURRENT_BATCHES, 10) || 2;
+const MAX_QUEUED_BATCHES = parseInt(process.env.MAX_QUEUED_BATCHES, 10) || 10;
+const BATCH_TTL_MS = 24 * 60 * 60 * 1000;
+const BATCH_URL_COLUMNS = ['url', 'urls', 'link', 'address', 'website', 'page'];
+
+const batches = new Map();
+// Batches wait here without a timeout; POST /batches enforces MAX_QUEUED_BATCHES
+const batchPool = createLimiter('batch', MAX_CONCURRENT_BATCHES, MAX_QUEUED_BATCHES, QUEUE_TIMEOUT_MS);
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes and CRLF line ends.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Takes the column headed "url" (or a similar name) when there is a header
+ * row, otherwise the first column.
+ */
+function urlsFromCsv(text) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const column = header.findIndex(cell => BATCH_URL_COLUMNS.includes(cell));
+
+  return column === -1
+    ? rows.map(cells => cells[0])
+    : rows.slice(1).map(cells => cells[column]);
+}
+
+/**
+ * Validates a batch body. URLs come from `urls` (an array or newline-separated
+ * text) and/or CSV text. Returns { error } or { requests, rejected }.
+ */
+function parseBatchRequest(body, csvText) {
+  const { urls, csv, quickMode, crawl, device = 'desktop', dkimSelectors = [] } = body || {};
+
+  if (device === 'both' || crawl) {
+    return { error: 'Batches run single-device page scans; crawl and "both" are not supported' };
+  }
+
+  let lines = Array.isArray(urls) ? urls : typeof urls === 'string' ? urls.split(/\r?\n/) : [];
+  const csvSource = csvText || csv;
+  if (typeof csvSource === 'string') lines = lines.concat(urlsFromCsv(csvSource));
+
+  const requests = new Map();
+  const rejected = [];
+
+  lines
+    .map(line => (typeof line === 'string' ? line.trim() : ''))
+    .filter(line => line && !line.startsWith('#'))
+    .forEach(line => {
+      const { scanRequest, error } = parseScanRequest({ targetUrl: line, quickMode, device, dkimSelectors });
+
+      if (error) {
+        rejected.push({ url: line, reason: error });
+        return;
+      }
+
+      let hostname = '';
+      try {
+        hostname = new URL(scanRequest.targetUrl).hostname;
+      } catch {
+        // reported below
+      }
+
+      if (!hostname || /\s/.test(line)) {
+        rejected.push({ url: line, reason: 'Not a valid URL' });
+        return;
+      }
+
+      requests.set(scanRequest.targetUrl, scanRequest);
+    });
+
+  if (requests.size === 0) {
+    return { error: rejected.length ? 'No valid URLs in the batch' : 'Provide urls or a CSV with a url column', rejected };
+  }
+
+  if (requests.size > MAX_BATCH_URLS) {
+    return { error: `A batch can contain at most ${MAX_BATCH_URLS} URLs (got ${requests.size})` };
+  }
+
+  return { requests: [...requests.values()], rejected };
+}
+
+function batchCounts(batch) {
+  const counts = { total: batch.items.length, queued: 0, running: 0, completed: 0, failed: 0 };
+  batch.items.forEach(item => counts[item.status]++);
+  return counts;
+}
+
+function batchSummary(batch) {
+  return {
+    id: batch.id,
+    status: batch.status,
+    options: batch.options,
+    counts: batchCounts(batch),
+    rejected: batch.rejected,
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt,
+    finishedAt: batch.finishedAt,
+    items: batch.items.map(({ request, ...item }) => item)
+  };
+}
+
+function emitBatchEvent(batch, type, data) {
+  const event = { type, ...data, timestamp: new Date().toISOString() };
+  batch.updatedAt = event.timestamp;
+  batch.events.push(event);
+  batch.emitter.emit('event', event);
+}
+
+function createBatch(requests, rejected) {
+  const now = new Date().toISOString();
+  const { quickMode, device, dkimSelectors } = requests[0];
+  const batch = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    options: { quickMode, device, dkimSelectors },
+    rejected,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    items: requests.map((request, index) => ({
+      index,
+      url: request.targetUrl,
+      status: 'queued',
+      stage: null,
+      message: null,
+      scanId: null,
+      summary: null,
+      error: null,
+      request
+    })),
+    events: [],
+    emitter: new EventEmitter()
+  };
+
+  batches.set(batch.id, batch);
+  return batch;
+}
+
+async function runBatch(batch) {
+  await batchPool.acquire(position => {
+    emitBatchEvent(batch, 'status', { status: 'queued', position, counts: batchCounts(batch) });
+  }, { bounded: false });
+
+  try {
+    batch.status = 'running';
+    emitBatchEvent(batch, 'status', { status: 'running', counts: batchCounts(batch) });
+    await scanBatchItems(batch);
+  } finally {
+    batchPool.release();
+  }
+
+  batch.status = 'completed';
+  batch.finishedAt = new Date().toISOString();
+  emitBatchEvent(batch, 'complete', { status: 'completed', counts: batchCounts(batch) });
+  setTimeout(() => batches.delete(batch.id), BATCH_TTL_MS).unref();
+}
+
+/**
+ * Batch items wait for browser slots without the queue cap or timeout, so a
+ * large batch never fails items just because interactive scans are queued.
+ */
+async function scanBatchItems(batch) {
+  await mapWithConcurrency(batch.items, BATCH_CONCURRENCY, async item => {
+    item.status = 'running';
+    emitBatchEvent(batch, 'item-progress', { index: item.index, url: item.url, status: 'running' });
+
+    try {
+      const result = await runScan(item.request, (stage, message) => {
+        item.stage = stage;
+        item.message = message;
+        emitBatchEvent(batch, 'item-progress', { index: item.index, url: item.url, status: 'running', stage, message });
+      }, { waitForSlot: true });
+
+      item.status = 'completed';
+      item.scanId = result.meta.scanId;
+      item.summary = summarizeScan(result);
+      emitBatchEvent(batch, 'item-complete', { index: item.index, url: item.url, summary: item.summary, counts: batchCounts(batch) });
+    } catch (error) {
+      const { errorType, userMessage } = classifyError(error);
+      item.status = 'failed';
+      item.error = { error: errorType, message: userMessage };
+      emitBatchEvent(batch, 'item-failed', { index: item.index, url: item.url, error: item.error, counts: batchCounts(batch) });
+    }
+  });
+}
+
+const BATCH_EXPORT_COLUMNS = [
+  ['url', item => item.url],
+  ['status', item => item.status],
+  ['scanId', item => item.scanId],
+  ['seoScore', item => item.summary && item.summary.scores.seo],
+  ['loadTimeMs', item => item.summary && item.summary.scores.loadTime],
+  ['accessibilityScore', item => item.summary && item.summary.scores.accessibilityScore],
+  ['accessibilityViolations', item => item.summary && item.summary.scores.accessibility],
+  ['securityFindings', item => item.summary && item.summary.scores.security],
+  ['securityHeadersScore', item => item.summary && item.summary.scores.securityScore],
+  ['lighthousePerformance', item => item.summary && item.summary.scores.lighthouse && item.summary.scores.lighthouse.performance],
+  ['lighthouseAccessibility', item => item.summary && item.summary.scores.lighthouse && item.summary.scores.lighthouse.accessibility],
+  ['lighthouseSeo', item => item.summary && item.summary.scores.lighthouse && item.summary.scores.lighthouse.seo],
+  ['lighthouseBestPractices', item => item.summary && item.summary.scores.lighthouse && item.summary.scores.lighthouse.bestPractices],
+  ['budgetsFailed', item => item.summary && item.summary.scores.budgetsFailed],
+  ['error', item => item.error && `${item.error.error}: ${item.error.message}`]
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function batchToCsv(batch) {
+  const lines = [
+    BATCH_EXPORT_COLUMNS.map(([name]) => name).join(','),
+    ...batch.items.map(item => BATCH_EXPORT_COLUMNS.map(([, value]) => csvCell(value(item))).join(','))
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function batchToJson(batch) {
+  return batch.items.map(item => Object.fromEntries(
+    BATCH_EXPORT_COLUMNS.map(([name, value]) => [name, value(item) ?? null])
+  ));
+}
+
+app.post("/batches", express.text({ type: 'text/csv', limit: '1mb' }), (req, res) => {
+  // A raw CSV upload carries its options in the query string
+  const isCsvUpload = typeof req.body === 'string';
+
+  if (isCsvUpload) {
+    const repeated = ['quickMode', 'device', 'dkimSelectors'].filter(key => req.query[key] !== undefined && typeof req.query[key] !== 'string');
+    if (repeated.length > 0) {
+      return res.status(400).json({ error: `Query parameter "${repeated[0]}" must be a single value` });
+    }
+  }
+
+  const body = isCsvUpload
+    ? {
+        quickMode: req.query.quickMode === 'true',
+        device: req.query.device || 'desktop',
+        dkimSelectors: req.query.dkimSelectors ? req.query.dkimSelectors.split(',') : []
+      }
+    : req.body || {};
+
+  const { requests, rejected, error } = parseBatchRequest(body, isCsvUpload ? req.body : null);
+
+  if (error) {
+    return res.status(400).json({ error, rejected });
+  }
+
+  if (batchPool.stats().queued >= MAX_QUEUED_BATCHES) {
+    res.set('Retry-After', '60');
+    return res.status(429).json({
+      error: "Server Busy",
+      message: `${MAX_CONCURRENT_BATCHES} batches are running and ${MAX_QUEUED_BATCHES} are already waiting. Try again shortly.`
+    });
+  }
+
+  const batch = createBatch(requests, rejected);
+  runBatch(batch).catch(batchError => logger.error(`❌ Batch ${batch.id} failed:`, batchError.message));
+
+  res.status(202).json({
+    id: batch.id,
+    status: batch.status,
+    counts: batchCounts(batch),
+    rejected,
+    statusUrl: `/batches/${batch.id}`,
+    eventsUrl: `/batches/${batch.id}/events`
+  });
+});
+
+app.get("/batches/:id", (req, res) => {
+  const batch = batches.get(req.params.id);
+
+  if (!batch) {
+    return res.status(404).json({ error: "Batch not found" });
+  }
+
+  res.json(batchSummary(batch));
+});
+
+app.get("/batches/:id/events", (req, res) => {
+  const batch = batches.get(req.params.id);
+
+  if (!batch) {
+    return res.status(404).json({ error: "Batch not found" });
+  }
+
+  streamEvents(req, res, batch, batch.status === 'completed');
+});
+
+app.get("/batches/:id/export", (req, res) => {
+  const batch = batches.get(req.params.id);
+  const format = req.query.format || 'csv';
+
+  if (!batch) {
+    return res.status(404).json({ error: "Batch not found" });
+  }
+
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: "format must be csv or json" });
+  }
+
+  res.attachment(`site-scanner-batch-${batch.id}.${format}`);
+
+  if (format === 'csv') {
+    res.type('text/csv').send(batchToCsv(batch));
+  } else {
+    res.json(batchToJson(batch));
+  }
+});
+
+/* ===============================
+   Monitors
+================================ */
+// Recurring scans on a cron-style schedule, evaluated in server local time
+const MONITORS_FILE = path.resolve(process.env.MONITORS_FILE || path.join(__dirname, 'monitors.json'));
+const MAX_MONITOR_RUNS = 20;
+const MAX_MONITOR_ALERTS = 100;
+
+const REGRESSION_THRESHOLDS = {
+  seoDrop: 10,
+  lighthousePerformance: 70,
+  newTrackers: true
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const match = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid ${name} field "${text}"`);
+
+    const step = match[3] ? parseInt(match[3], 10) : 1;
+    let start = min;
+    let end = max;
+
+    if (match[1] !== undefined) {
+      start = parseInt(match[1], 10);
+      // "5/15" means every 15 starting at 5, like cron
+      end = match[2] !== undefined ? parseInt(match[2], 10) : (match[3] ? max : start);
+    }
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`${name} field "${text}" is out of range (${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression (minute hour day-of-month month
+ * day-of-week) with lists, ranges and steps, or one of the @ aliases.
+ */
+function parseCronSchedule(expression) {
+  const source = CRON_ALIASES[expression.trim()] || expression.trim();
+  const parts = source.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error('Schedule must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    restrictsDayOfMonth: !parts[2].startsWith('*'),
+    restrictsDayOfWeek: !parts[4].startsWith('*')
+  };
+}
+
+function cronMatches(schedule, date) {
+  return schedule.minute.has(date.getMinutes()) &&
+    schedule.hour.has(date.getHours()) &&
+    schedule.month.has(date.getMonth() + 1) &&
+    cronDayMatches(schedule, date);
+}
+
+function cronDayMatches(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+
+  // As in cron, when both day fields are restricted either one may match
+  if (schedule.restrictsDayOfMonth && schedule.restrictsDayOfWeek) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Next matching minute after `from`. Whole months, days and hours that cannot
+ * match are skipped, so this takes a few hundred steps rather than one per
+ * minute. Feb 29 schedules can wait 8 years; "30 2 31 2 *" never fires.
+ */
+function nextCronRun(schedule, from = new Date()) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + 8);
+
+  while (date < limit) {
+    if (!schedule.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.toISOString();
+    }
+  }
+  return null;
+}
+
+function lighthouseScore(result, category) {
+  const entry = result && result.lighthouse && result.lighthouse.categories
+    ? result.lighthouse.categories[category]
+    : null;
+  return entry && typeof entry.score === 'number' ? entry.score : null;
+}
+
+/**
+ * Compares a scan with the previous scan of the same target. Each regression
+ * is { metric, message, previous, current }. Lighthouse performance alerts
+ * only when the score crosses the threshold, so a slow site alerts once.
+ */
+function findRegressions(previous, current, thresholds = REGRESSION_THRESHOLDS) {
+  const regressions = [];
+
+  if (previous && typeof thresholds.seoDrop === 'number' && previous.seo && current.seo) {
+    const drop = previous.seo.score - current.seo.score;
+    if (drop > thresholds.seoDrop) {
+      regressions.push({
+        metric: 'seoScore',
+        message: `SEO score dropped by ${drop} points (${previous.seo.score} → ${current.seo.score})`,
+        previous: previous.seo.score,
+        current: current.seo.score
+      });
+    }
+  }
+
+  const performance = lighthouseScore(current, 'performance');
+  if (typeof thresholds.lighthousePerformance === 'number' && performance !== null &&
+      performance < thresholds.lighthousePerformance) {
+    const previousPerformance = lighthouseScore(previous, 'performance');
+
+    if (previousPerformance === null || previousPerformance >= thresholds.lighthousePerformance) {
+      regressions.push({
+        metric: 'lighthousePerformance',
+        message: `Lighthouse performance is ${performance}, below the ${thresholds.lighthousePerformance} threshold`,
+        previous: previousPerformance,
+        current: performance
+      });
+    }
+  }
+
+  if (previous && thresholds.newTrackers && Array.isArray(previous.trackers) && Array.isArray(current.trackers)) {
+    const known = new Set(previous.trackers.map(tracker => tracker.name));
+    const added = current.trackers.map(tracker => tracker.name).filter(name => !known.has(name));
+
+    if (added.length > 0) {
+      regressions.push({
+        metric: 'trackers',
+        message: `New tracker${added.length > 1 ? 's' : ''} detected: ${added.join(', ')}`,
+        previous: [...known],
+        current: added
+      });
+    }
+  }
+
+  return regressions;
+}
+
+function loadMonitors(file) {
+  const loaded = new Map();
+
+  if (!fs.existsSync(file)) return loaded;
+
+  try {
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(monitor => loaded.set(monitor.id, monitor));
+    logger.log(`✓ Loaded ${loaded.size} monitors from ${file}`);
+  } catch (error) {
+    logger.error(`Could not read monitors from ${file}:`, error.message);
+  }
+
+  return loaded;
+}
+
+const getMonitors = lazy(() => loadMonitors(MONITORS_FILE));
+const runningMonitors = new Set();
+
+async function saveMonitors() {
+  await fs.promises.mkdir(path.dirname(MONITORS_FILE), { recursive: true });
+  await fs.promises.writeFile(`${MONITORS_FILE}.tmp`, JSON.stringify([...getMonitors().values()], null, 2));
+  await fs.promises.rename(`${MONITORS_FILE}.tmp`, MONITORS_FILE);
+}
+
+function monitorSummary(monitor) {
+  const { runs, alerts, ...rest } = monitor;
+  let nextRunAt = null;
+
+  if (monitor.enabled) {
+    try {
+      nextRunAt = nextCronRun(parseCronSchedule(monitor.schedule));
+    } catch (error) {
+      // Stored schedules are validated on write; ignore anything hand-edited
+    }
+  }
+
+  return {
+    ...rest,
+    running: runningMonitors.has(monitor.id),
+    nextRunAt,
+    lastRun: runs[0] || null,
+    alertCount: alerts.length
+  };
+}
+
+/**
+ * Validates a monitor body, merged over the existing monitor for updates.
+ * Returns { error } or { fields }.
+ */
+function parseMonitorRequest(body, existing = null) {
+  const merged = {
+    ...(existing ? {
+      name: existing.name,
+      url: existing.request.targetUrl,
+      schedule: existing.schedule,
+      quickMode: existing.request.quickMode,
+      device: existing.request.device,
+      dkimSelectors: existing.request.dkimSelectors,
+      enabled: existing.enabled
+    } : {}),
+    ...body,
+    thresholds: { ...(existing ? existing.thresholds : REGRESSION_THRESHOLDS), ...(body.thresholds || {}) }
+  };
+
+  if (!merged.schedule || typeof merged.schedule !== 'string') {
+    return { error: 'schedule is required, e.g. "0 6 * * *"' };
+  }
+
+  try {
+    parseCronSchedule(merged.schedule);
+  } catch (error) {
+    return { error: `Invalid schedule: ${error.message}` };
+  }
+
+  if (merged.crawl || merged.device === 'both') {
+    return { error: 'Monitors run single-device page scans; crawl and "both" are not supported' };
+  }
+
+  const { scanRequest, error } = parseScanRequest({
+    targetUrl: merged.url,
+    quickMode: merged.quickMode,
+    device: merged.device,
+    dkimSelectors: merged.dkimSelectors
+  });
+
+  if (error) return { error };
+
+  const { seoDrop, lighthousePerformance, newTrackers } = merged.thresholds;
+  const invalidNumber = [seoDrop, lighthousePerformance]
+    .some(value => value !== null && (typeof value !== 'number' || value < 0));
+
+  if (invalidNumber || typeof newTrackers !== 'boolean') {
+    return { error: 'thresholds.seoDrop and thresholds.lighthousePerformance must be non-negative numbers or null; thresholds.newTrackers must be a boolean' };
+  }
+
+  return {
+    fields: {
+      name: typeof merged.name === 'string' && merged.name.trim() ? merged.name.trim() : scanRequest.targetUrl,
+      request: scanRequest,
+      schedule: merged.schedule.trim(),
+      thresholds: { seoDrop, lighthousePerformance, newTrackers },
+      enabled: merged.enabled !== false
+    }
+  };
+}
+
+/**
+ * Scans a monitor's target through the regular pipeline (so the result is
+ * stored like any other scan) and records alerts against its previous run.
+ */
+async function runMonitor(monitor) {
+  if (runningMonitors.has(monitor.id)) return;
+  runningMonitors.add(monitor.id);
+
+  const run = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    status: 'running',
+    scanId: null,
+    alerts: 0,
+    error: null
+  };
+
+  try {
+    const previous = monitor.lastScanId ? await readScan(monitor.lastScanId) : null;
+    // Scheduled runs queue like batch items instead of failing when interactive scans are waiting
+    const result = await runScan(monitor.request, noProgress, { waitForSlot: true });
+
+    const alerts = findRegressions(previous, result, monitor.thresholds).map(regression => ({
+      id: crypto.randomUUID(),
+      monitorId: monitor.id,
+      url: result.url,
+      scanId: result.meta.scanId,
+      previousScanId: previous ? previous.meta.scanId : null,
+      ...regression,
+      createdAt: new Date().toISOString()
+    }));
+
+    alerts.forEach(alert => logger.warn(`🚨 Monitor "${monitor.name}": ${alert.message}`));
+
+    monitor.alerts = [...alerts, ...monitor.alerts].slice(0, MAX_MONITOR_ALERTS);
+    monitor.lastScanId = result.meta.scanId;
+    run.scanId = result.meta.scanId;
+    run.alerts = alerts.length;
+    run.status = 'completed';
+  } catch (error) {
+    const { errorType, userMessage } = classifyError(error);
+    logger.error(`❌ Monitor "${monitor.name}" failed:`, error.message);
+    run.status = 'failed';
+    run.error = { error: errorType, message: userMessage };
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    monitor.lastRunAt = run.startedAt;
+    monitor.runs = [run, ...monitor.runs].slice(0, MAX_MONITOR_RUNS);
+    runningMonitors.delete(monitor.id);
+
+    await saveMonitors().catch(error => logger.error('❌ Could not save monitors:', error.message));
+  }
+}
+
+function startMonitorScheduler() {
+  let lastTick = null;
+
+  const scheduleTick = () => {
+    // Fire just after each minute boundary
+    setTimeout(tick, 60000 - (Date.now() % 60000) + 500).unref();
+  };
+
+  const tick = () => {
+    const now = new Date();
+    const minute = Math.floor(now.getTime() / 60000);
+
+    if (minute !== lastTick) {
+      lastTick = minute;
+      getMonitors().forEach(monitor => {
+        if (!monitor.enabled) return;
+        try {
+          if (cronMatches(parseCronSchedule(monitor.schedule), now)) runMonitor(monitor);
+        } catch (error) {
+          logger.error(`Skipping monitor "${monitor.name}":`, error.message);
+        }
+      });
+    }
+
+    scheduleTick();
+  };
+
+  scheduleTick();
+  logger.log(`⏰ Monitor scheduler started (${getMonitors().size} monitors)`);
+}
+
+app.get("/monitors", (req, res) => {
+  res.json({ monitors: [...getMonitors().values()].map(monitorSummary) });
+});
+
+app.post("/monitors", async (req, res) => {
+  const { fields, error } = parseMonitorRequest(req.body || {});
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const now = new Date().toISOString();
+  const monitor = {
+    id: crypto.randomUUID(),
+    ...fields,
+    createdAt: now,
+    updatedAt: now,
+    lastRunAt: null,
+    lastScanId: null,
+    runs: [],
+    alerts: []
+  };
+
+  getMonitors().set(monitor.id, monitor);
+
+  try {
+    await saveMonitors();
+  } catch (saveError) {
+    getMonitors().delete(monitor.id);
+    logger.error('❌ Could not save monitors:', saveError.message);
+    return res.status(500).json({ error: "Could not save monitor" });
+  }
+
+  res.status(201).json(monitorSummary(monitor));
+});
+
+app.get("/monitors/:id", (req, res) => {
+  const monitor = getMonitors().get(req.params.id);
+
+  if (!monitor) {
+    return res.status(404).json({ error: "Monitor not found" });
+  }
+
+  res.json({ ...monitorSummary(monitor), runs: monitor.runs, alerts: monitor.alerts });
+});
+
+app.patch("/monitors/:id", async (req, res) => {
+  const monitor = getMonitors().get(req.params.id);
+
+  if (!monitor) {
+    return res.status(404).json({ error: "Monitor not found" });
+  }
+
+  const { fields, error } = parseMonitorRequest(req.body || {}, monitor);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  Object.assign(monitor, fields, { updatedAt: new Date().toISOString() });
+
+  try {
+    await saveMonitors();
+  } catch (saveError) {
+    logger.error('❌ Could not save monitors:', saveError.message);
+    return res.status(500).json({ error: "Could not save monitor" });
   }
-  
-  const httpResources = (html.match(/http:\/\//g) || []).length;
-  if (httpResources > 0) {
-    findings.push({ type: 'warning', message: `${httpResources} HTTP resources (should use HTTPS)` });
+
+  res.json(monitorSummary(monitor));
+});
+
+app.delete("/monitors/:id", async (req, res) => {
+  if (!getMonitors().delete(req.params.id)) {
+    return res.status(404).json({ error: "Monitor not found" });
   }
-  
-  const externalScripts = $('script[src]').filter((i, el) => {
-    const src = $(el).attr('src');
-    return src && (src.startsWith('http://') || src.startsWith('https://'));
-  }).length;
-  
-  if (externalScripts > 0) {
-    findings.push({ type: 'info', message: `${externalScripts} external scripts loaded` });
+
+  try {
+    await saveMonitors();
+  } catch (error) {
+    logger.error('❌ Could not save monitors:', error.message);
+    return res.status(500).json({ error: "Could not save monitors" });
   }
 
-  const inlineScripts = $('script:not([src])').length;
-  if (inlineScripts > 5) {
-    findings.push({ type: 'info', message: `${inlineScripts} inline scripts` });
+  res.status(204).end();
+});
+
+app.post("/monitors/:id/run", (req, res) => {
+  const monitor = getMonitors().get(req.params.id);
+
+  if (!monitor) {
+    return res.status(404).json({ error: "Monitor not found" });
   }
-  
-  return findings;
-}
+
+  if (runningMonitors.has(monitor.id)) {
+    return res.status(409).json({ error: "Monitor is already running" });
+  }
+
+  runMonitor(monitor);
+  res.status(202).json(monitorSummary(monitor));
+});
+
+app.get("/alerts", (req, res) => {
+  const { monitorId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_MONITOR_ALERTS);
+
+  const alerts = [...getMonitors().values()]
+    .filter(monitor => !monitorId || monitor.id === monitorId)
+    .flatMap(monitor => monitor.alerts.map(alert => ({ ...alert, monitorName: monitor.name })))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  res.json({ total: alerts.length, alerts: alerts.slice(0, limit) });
+});
 
 /* ===============================
-   Lighthouse Analysis
+   Webhook Routes
 ================================ */
-async function runLighthouse(targetUrl, quickMode) {
+app.get("/webhooks", (req, res) => {
+  res.json({ webhooks: [...getWebhooks().values()].map(webhook => webhookSummary(webhook)) });
+});
+
+app.post("/webhooks", async (req, res) => {
+  const { fields, error } = parseWebhookRequest(req.body || {});
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const webhook = { id: crypto.randomUUID(), ...fields, createdAt: new Date().toISOString() };
+  getWebhooks().set(webhook.id, webhook);
+
   try {
-    console.log('🔦 Running Lighthouse audit...');
-    
-    const options = {
-      logLevel: 'error',
-      output: 'json',
-      onlyCategories: ['performance', 'accessibility', 'best-practices', 'seo', 'pwa'],
-      port: new URL(browser.wsEndpoint()).port,
-      disableStorageReset: true,
-    };
+    await saveWebhooks();
+  } catch (saveError) {
+    getWebhooks().delete(webhook.id);
+    logger.error('❌ Could not save webhooks:', saveError.message);
+    return res.status(500).json({ error: "Could not save webhook" });
+  }
 
-    if (quickMode) {
-      options.onlyCategories = ['performance', 'accessibility', 'seo'];
-      options.skipAudits = ['screenshot-thumbnails', 'final-screenshot', 'full-page-screenshot'];
-    }
+  // The full secret is only returned once, when the webhook is created
+  res.status(201).json(webhookSummary(webhook, { includeSecret: true }));
+});
 
-    const runnerResult = await lighthouse(targetUrl, options);
-    
-    if (!runnerResult || !runnerResult.lhr) {
-      console.log('⚠️ Lighthouse returned no results');
-      return null;
-    }
+app.patch("/webhooks/:id", async (req, res) => {
+  const webhook = getWebhooks().get(req.params.id);
 
-    const lhr = runnerResult.lhr;
-    console.log('✓ Lighthouse audit complete');
+  if (!webhook) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
 
-    const categories = {};
-    if (lhr.categories) {
-      Object.keys(lhr.categories).forEach(key => {
-        const category = lhr.categories[key];
-        categories[key] = {
-          score: Math.round(category.score * 100),
-          title: category.title
-        };
-      });
-    }
+  const { fields, error } = parseWebhookRequest(req.body || {}, webhook);
 
-    const metrics = {};
-    if (lhr.audits) {
-      const metricAudits = [
-        'first-contentful-paint',
-        'largest-contentful-paint',
-        'total-blocking-time',
-        'cumulative-layout-shift',
-        'speed-index',
-        'interactive'
-      ];
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-      metricAudits.forEach(auditKey => {
-        const audit = lhr.audits[auditKey];
-        if (audit) {
-          metrics[auditKey] = {
-            title: audit.title,
-            displayValue: audit.displayValue || 'N/A',
-            score: audit.score !== null ? Math.round(audit.score * 100) : null,
-            numericValue: audit.numericValue || null
-          };
-        }
-      });
-    }
+  Object.assign(webhook, fields);
 
-    const opportunities = [];
-    if (lhr.audits) {
-      const opportunityAudits = [
-        'unused-javascript',
-        'unused-css-rules',
-        'modern-image-formats',
-        'offscreen-images',
-        'render-blocking-resources',
-        'unminified-css',
-        'unminified-javascript',
-        'efficient-animated-content',
-        'duplicated-javascript',
-        'legacy-javascript'
-      ];
+  try {
+    await saveWebhooks();
+  } catch (saveError) {
+    logger.error('❌ Could not save webhooks:', saveError.message);
+    return res.status(500).json({ error: "Could not save webhook" });
+  }
 
-      opportunityAudits.forEach(auditKey => {
-        const audit = lhr.audits[auditKey];
-        if (audit && audit.details && audit.details.overallSavingsMs > 100) {
-          opportunities.push({
-            title: audit.title,
-            description: audit.description,
-            savingsMs: audit.details.overallSavingsMs || 0,
-            savingsBytes: audit.details.overallSavingsBytes || 0
-          });
-        }
-      });
-    }
+  res.json(webhookSummary(webhook, { includeSecret: req.body && req.body.secret !== undefined }));
+});
 
-    return {
-      categories,
-      metrics,
-      opportunities: opportunities.slice(0, 5), 
-      fetchTime: lhr.fetchTime
-    };
+app.delete("/webhooks/:id", async (req, res) => {
+  if (!getWebhooks().delete(req.params.id)) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
 
+  try {
+    await saveWebhooks();
   } catch (error) {
-    console.error('Lighthouse error:', error.message);
-    return null;
+    logger.error('❌ Could not save webhooks:', error.message);
+    return res.status(500).json({ error: "Could not save webhooks" });
   }
-}
+
+  res.status(204).end();
+});
+
+app.post("/webhooks/:id/test", (req, res) => {
+  const webhook = getWebhooks().get(req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+
+  const delivery = deliverWebhook(webhook, 'ping', { message: 'Test delivery from site-scanner' });
+  res.status(202).json({ deliveryId: delivery.id, deliveriesUrl: `/webhooks/deliveries?webhookId=${webhook.id}` });
+});
+
+app.get("/webhooks/deliveries", (req, res) => {
+  const { webhookId, status, event } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_WEBHOOK_DELIVERIES);
+
+  const deliveries = webhookDeliveries.filter(delivery =>
+    (!webhookId || delivery.webhookId === webhookId) &&
+    (!status || delivery.status === status) &&
+    (!event || delivery.event === event)
+  );
+
+  res.json({ total: deliveries.length, deliveries: deliveries.slice(0, limit) });
+});
 
 /* ===============================
-   Analyze Route
+   Scans API
 ================================ */
-app.post("/analyze", async (req, res) => {
-  let page;
-  const startTime = Date.now();
+const SCAN_MODES = ['single', 'crawl'];
 
-  try {
-    await initBrowser();
+app.get("/scans", (req, res) => {
+  // Repeated (?url=a&url=b) or nested (?url[x]=a) parameters arrive as arrays or objects
+  const repeated = ['url', 'from', 'to', 'mode', 'device', 'limit', 'offset']
+    .find(key => req.query[key] !== undefined && typeof req.query[key] !== 'string');
+  if (repeated) {
+    return res.status(400).json({ error: `Query parameter "${repeated}" must be a single value` });
+  }
 
-    let { targetUrl, quickMode } = req.body;
+  const { url, from, to, mode, device } = req.query;
 
-    if (!targetUrl) {
-      return res.status(400).json({ error: "URL required" });
-    }
+  if (mode && !SCAN_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Unknown mode. Use one of: ${SCAN_MODES.join(', ')}` });
+  }
 
-    targetUrl = normalizeUrl(targetUrl);
-    console.log(`\n🔍 Analyzing: ${targetUrl}${quickMode ? ' (Quick Mode)' : ''}`);
+  if (device && !Object.hasOwn(DEVICE_PROFILES, device)) {
+    return res.status(400).json({ error: `Unknown device. Use one of: ${Object.keys(DEVICE_PROFILES).join(', ')}` });
+  }
 
-    page = await browser.newPage();
+  if ([from, to].some(value => value && isNaN(new Date(value).getTime()))) {
+    return res.status(400).json({ error: "from and to must be valid dates" });
+  }
 
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36"
-    );
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, SCAN_LIST_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
 
-    const timeout = quickMode ? 30000 : 60000;
-    const waitTime = quickMode ? 1000 : 3000;
+  res.json(listScans({ url, from, to, mode, device, limit, offset }));
+});
 
-    let loadSuccess = false;
-    
-    try {
-      console.log(`Loading ${targetUrl} with networkidle2...`);
-      await page.goto(targetUrl, {
-        waitUntil: "networkidle2",
-        timeout: timeout
-      });
-      loadSuccess = true;
-      console.log('✓ Loaded with networkidle2');
-    } catch (navError) {
-      console.log('✗ networkidle2 failed, trying domcontentloaded...');
-      
-      try {
-        await page.goto(targetUrl, {
-          waitUntil: "domcontentloaded",
-          timeout: timeout
-        });
-        loadSuccess = true;
-        console.log('✓ Loaded with domcontentloaded');
-      } catch (navError2) {
-        console.log('✗ domcontentloaded failed, trying load...');
-        
-        try {
-          await page.goto(targetUrl, {
-            waitUntil: "load",
-            timeout: timeout
-          });
-          loadSuccess = true;
-          console.log('✓ Loaded with load event');
-        } catch (navError3) {
-          throw new Error(`Unable to load ${targetUrl}. The site may be blocking automated access, experiencing issues, or taking too long to respond.`);
-        }
-      }
-    }
+app.get("/scans/:scanId", async (req, res) => {
+  const { scanId } = req.params;
 
-    console.log(`Waiting ${waitTime}ms for dynamic content...`);
-    await delay(waitTime);
+  if (!SCAN_ID_PATTERN.test(scanId)) {
+    return res.status(400).json({ error: "Invalid scan id" });
+  }
 
-    console.log('📸 Capturing screenshot...');
-    const screenshotBuffer = await page.screenshot({
-      fullPage: false,
-      type: 'jpeg',
-      quality: 85
-    });
-    const screenshotBase64 = screenshotBuffer.toString('base64');
-    console.log('✓ Screenshot captured');
+  try {
+    const result = await readScan(scanId);
 
-    const html = await page.content();
-    const $ = cheerio.load(html);
+    if (!result) {
+      return res.status(404).json({ error: "Scan not found" });
+    }
 
-    const layout = extractLayout($);
-    const seo = analyzeSEO($);
-    const techStack = await detectTechStack(page, html);
-    const performance = await getPerformanceMetrics(page);
-    const accessibility = checkAccessibility($);
-    const security = checkSecurity($, html);
-    const seoResult = calculateSEOScore(seo, layout);
+    res.json(result);
+  } catch (error) {
+    logger.error("❌ Could not read scan:", error.message);
+    res.status(500).json({ error: "Could not read scan" });
+  }
+});
 
-    let lighthouse = null;
-    if (!quickMode) {
-      lighthouse = await runLighthouse(targetUrl, quickMode);
-    } else {
-      console.log('⚡ Quick mode: Skipping Lighthouse audit');
+app.delete("/scans/:scanId", async (req, res) => {
+  const { scanId } = req.params;
+
+  if (!SCAN_ID_PATTERN.test(scanId)) {
+    return res.status(400).json({ error: "Invalid scan id" });
+  }
+
+  try {
+    if (!(await deleteScan(scanId))) {
+      return res.status(404).json({ error: "Scan not found" });
     }
 
-    const analysisTime = Date.now() - startTime;
+    res.status(204).end();
+  } catch (error) {
+    logger.error("❌ Could not delete scan:", error.message);
+    res.status(500).json({ error: "Could not delete scan" });
+  }
+});
 
-    const result = {
-      url: targetUrl,
-      screenshot: screenshotBase64,
-      techStack,
-      trackers: detectTrackers(html),
-      layout,
-      seo: {
-        ...seo,
-        score: seoResult.score,
-        issues: seoResult.issues
-      },
-      performance,
-      accessibility,
-      security,
-      lighthouse,
-      meta: {
-        analyzedAt: new Date().toISOString(),
-        analysisTime: `${analysisTime}ms`,
-        quickMode: quickMode || false
-      }
-    };
+/* ===============================
+   HAR Export Route
+================================ */
+app.get("/scans/:scanId/har", (req, res) => {
+  const { scanId } = req.params;
 
-    await page.close();
+  if (!SCAN_ID_PATTERN.test(scanId)) {
+    return res.status(400).json({ error: "Invalid scan id" });
+  }
 
-    res.json(result);
+  const file = artifactPath(scanId, 'network.har');
 
-  } catch (error) {
-    if (page) await page.close();
+  if (!fs.existsSync(file)) {
+    return res.status(404).json({ error: "HAR not found for this scan" });
+  }
 
-    console.log("ANALYSIS ERROR:", error.message);
+  res.download(file, `site-scanner-${scanId}.har`, { headers: { 'Content-Type': 'application/json' } });
+});
 
-    let userMessage = error.message;
-    let errorType = "Failed to analyze website";
+/* ===============================
+   Visual Diff Route
+================================ */
+app.get("/scans/:scanId/diff", async (req, res) => {
+  const { scanId } = req.params;
+  const { against, capture, threshold, maxChange, failOnChange } = req.query;
 
-    if (error.message.includes("Navigation timeout") || error.message.includes("timeout")) {
-      errorType = "Timeout Error";
-      userMessage = "The website took too long to respond. This could be due to: slow server response, heavy page content, or network issues. Try again or test a different URL.";
-    } else if (error.message.includes("net::ERR_NAME_NOT_RESOLVED")) {
-      errorType = "DNS Error";
-      userMessage = "Could not resolve the domain name. Please check the URL and try again.";
-    } else if (error.message.includes("net::ERR_CONNECTION_REFUSED")) {
-      errorType = "Connection Refused";
-      userMessage = "The server refused the connection. The website might be down or blocking requests.";
-    } else if (error.message.includes("net::ERR_CERT")) {
-      errorType = "SSL Certificate Error";
-      userMessage = "SSL certificate issue detected. The website may have an invalid or expired certificate.";
-    }
+  if (!SCAN_ID_PATTERN.test(scanId) || !SCAN_ID_PATTERN.test(against || '')) {
+    return res.status(400).json({ error: "Both scan ids are required (use ?against=<baseScanId>)" });
+  }
 
-    res.status(500).json({
-      error: errorType,
-      message: userMessage,
-      technicalDetails: error.stack || error.message
+  if (capture && !ARTIFACT_NAME_PATTERN.test(capture)) {
+    return res.status(400).json({ error: "Invalid capture name" });
+  }
+
+  const numbers = { threshold, maxChange };
+  const invalid = Object.keys(numbers).find(key =>
+    numbers[key] !== undefined &&
+    (typeof numbers[key] !== 'string' || !Number.isFinite(parseFiniteNumber(numbers[key], NaN)))
+  );
+  if (invalid) {
+    return res.status(400).json({ error: `${invalid} must be a number` });
+  }
+
+  try {
+    const result = await diffScreenshots(against, scanId, {
+      capture,
+      threshold: parseFiniteNumber(threshold, undefined),
+      maxChangedPercent: parseFiniteNumber(maxChange, undefined)
     });
+
+    // Opt-in for CI: a failed comparison becomes a non-2xx response
+    const failOnChangeRequested = failOnChange === '1' || failOnChange === 'true';
+    res.status(failOnChangeRequested && !result.passed ? 409 : 200).json(result);
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error("❌ Visual diff failed:", error.message);
+    }
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/* ===============================
+   Artifact Route
+================================ */
+app.get("/artifacts/:scanId/:name", (req, res) => {
+  const { scanId, name } = req.params;
+
+  if (!SCAN_ID_PATTERN.test(scanId) || !ARTIFACT_NAME_PATTERN.test(name)) {
+    return res.status(400).json({ error: "Invalid artifact path" });
+  }
+
+  const file = artifactPath(scanId, name);
+
+  if (!fs.existsSync(file)) {
+    return res.status(404).json({ error: "Artifact not found" });
   }
+
+  res.sendFile(file, { maxAge: '1d', immutable: true });
 });
 
 /* ===============================
@@ -616,6 +5907,8 @@ app.get("/health", (req, res) => {
   res.json({ 
     status: "ok", 
     browserActive: !!browser,
+    pages: pagePool.stats(),
+    lighthouse: lighthousePool.stats(),
     uptime: process.uptime()
   });
 });
@@ -625,12 +5918,62 @@ app.get("/health", (req, res) => {
 ================================ */
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, async () => {
-  await initBrowser();
-  console.log(`🚀 Running at http://localhost:${PORT}`);
-});
+// Only serve when run directly; the CLI requires this file for its analyzers
+if (require.main === module) {
+  // Load data files and stores up front so a bad file shows at startup
+  try {
+    [getFingerprints, getTrackerRules, getBudgets, getScanIndex, getWebhooks, getMonitors].forEach(load => load());
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  app.listen(PORT, async () => {
+    await initBrowser();
+    startMonitorScheduler();
+    logger.log(`🚀 Running at http://localhost:${PORT}`);
+  });
+
+  process.on('SIGTERM', async () => {
+    await closeBrowser();
+    process.exit(0);
+  });
+}
 
-process.on('SIGTERM', async () => {
-  if (browser) await browser.close();
-  process.exit(0);
-});
\ No newline at end of file
+module.exports = {
+  app,
+  setLogger,
+  configureStorage,
+  getBudgets,
+  DEVICE_PROFILES,
+  initBrowser,
+  closeBrowser,
+  parseScanRequest,
+  executeScan,
+  runScan,
+  analyzeUrl,
+  crawlSite,
+  classifyError,
+  extractLayout,
+  analyzeSEO,
+  calculateSEOScore,
+  extractStructuredData,
+  analyzeRobotsAndSitemaps,
+  analyzeRedirects,
+  checkAccessibility,
+  runAxe,
+  checkSecurity,
+  auditSecurityHeaders,
+  inspectTls,
+  analyzeDns,
+  checkLinks,
+  detectTechStack,
+  detectTrackers,
+  getPerformanceMetrics,
+  runLighthouse,
+  buildHar,
+  diffScreenshots,
+  findRegressions,
+  summarizeScan,
+  evaluateBudgets
+};
\ No newline at end of file